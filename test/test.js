@@ -41,6 +41,714 @@ test('__super__', function () {
     strictEqual(Test2.__super__, Test1.prototype);
 });
 
+test('mixins', function () {
+    var Mixin1 = { one: function () { return 'one'; } };
+    var Mixin2 = { two: function () { return 'two'; } };
+    var Test1 = Toolbox.Base.extend({
+        mixins: [Mixin1, Mixin2]
+    });
+    var t1 = new Test1();
+    strictEqual(t1.one(), 'one');
+    strictEqual(t1.two(), 'two');
+    strictEqual(t1.mixins, undefined, '"mixins" should not be copied to the prototype');
+});
+
+test('mixin order', function () {
+    var Test1 = Toolbox.Base.extend({
+        value: function () { return 'base'; }
+    });
+    var Mixin1 = { value: function () { return 'mixin'; } };
+    var Test2 = Test1.extend({
+        mixins: [Mixin1]
+    });
+    var Test3 = Test1.extend({
+        mixins: [Mixin1],
+        value: function () { return 'class'; }
+    });
+    strictEqual(new Test2().value(), 'mixin', 'mixin members override inherited members');
+    strictEqual(new Test3().value(), 'class', 'class members override mixin members');
+});
+
+test('mixin conflicts', function () {
+    var Mixin1 = { run: function () { return 1; } };
+    var Mixin2 = { run: function () { return 2; } };
+    raises(function () {
+        Toolbox.Base.extend({
+            mixins: [Mixin1, Mixin2]
+        });
+    }, 'conflicting members should throw an error');
+    var Test1 = Toolbox.Base.extend({
+        mixins: [Mixin1, Mixin2],
+        run: Mixin2.run
+    });
+    strictEqual(new Test1().run(), 2, 'class can resolve a conflict explicitly');
+});
+
+test('mixin initializers', function () {
+    var calls = [];
+    var Mixin1 = {
+        initMixin: function (arg) {
+            calls.push('mixin1 ' + arg);
+        }
+    };
+    var Mixin2 = {
+        initMixin: function (arg) {
+            calls.push('mixin2 ' + arg);
+        }
+    };
+    var Test1 = Toolbox.Base.extend({
+        mixins: [Mixin1, Mixin2],
+        constructor: function (arg) {
+            calls.push('constructor ' + arg);
+        }
+    });
+    var t1 = new Test1('a');
+    deepEqual(calls, ['mixin1 a', 'mixin2 a', 'constructor a']);
+    strictEqual(t1.initMixin, undefined, '"initMixin" should not be copied to the prototype');
+    ok(t1 instanceof Test1);
+    strictEqual(t1.constructor, Test1);
+});
+
+test('hasMixin', function () {
+    var Mixin1 = {};
+    var Mixin2 = {};
+    var Test1 = Toolbox.Base.extend({ mixins: [Mixin1] });
+    var Test2 = Test1.extend({});
+    deepEqual(Test1.__mixins__, [Mixin1]);
+    deepEqual(Test2.__mixins__, []);
+    ok(Toolbox.hasMixin(Test1, Mixin1));
+    ok(Toolbox.hasMixin(new Test2(), Mixin1), 'mixins are inherited');
+    ok(!Toolbox.hasMixin(Test2, Mixin2));
+    ok(Toolbox.hasMixin(Toolbox.LiveObject, Toolbox.SmartProperties));
+});
+
+test('_super', function () {
+    var Test1 = Toolbox.Base.extend({
+        name: function (suffix) {
+            return 'test1' + suffix;
+        }
+    });
+    var Test2 = Test1.extend({
+        name: function (suffix) {
+            return 'test2 ' + this._super(suffix);
+        }
+    });
+    var Test3 = Test2.extend({
+        name: function (suffix) {
+            return 'test3 ' + this._super(suffix);
+        }
+    });
+    var t3 = new Test3();
+    strictEqual(t3.name('!'), 'test3 test2 test1!');
+    strictEqual(t3._super, undefined, '"_super" should be removed after the call');
+});
+
+test('_super is not enumerable', function () {
+    var Test1 = Toolbox.Base.extend({
+        name: function () {
+            return 'test1';
+        }
+    });
+    var Test2 = Test1.extend({
+        name: function () {
+            var keys = _.keys(this);
+            var copy = _.clone(this);
+            return [keys, _.include(_.keys(copy), '_super'), this._super()];
+        }
+    });
+    var t2 = new Test2();
+    t2.value = 1;
+    deepEqual(t2.name(), [['value'], false, 'test1']);
+    ok(!t2.hasOwnProperty('_super'), '"_super" should be removed after the call');
+});
+
+test('_super in constructor', function () {
+    var Test1 = Toolbox.Base.extend({
+        constructor: function (value) {
+            this.value = value;
+        }
+    });
+    var Test2 = Test1.extend({
+        constructor: function (value) {
+            this._super(value * 2);
+            this.value += 1;
+        }
+    });
+    var Test3 = Test2.extend({});
+    strictEqual(new Test2(5).value, 11);
+    strictEqual(new Test3(5).value, 11);
+});
+
+test('_super with mixins', function () {
+    var Test1 = Toolbox.Base.extend({
+        name: function () {
+            return 'base';
+        }
+    });
+    var Mixin1 = {
+        name: function () {
+            return 'mixin ' + this._super();
+        }
+    };
+    var Test2 = Test1.extend({
+        mixins: [Mixin1]
+    });
+    var Test3 = Test1.extend({
+        mixins: [Mixin1],
+        name: function () {
+            return 'class ' + this._super();
+        }
+    });
+    strictEqual(new Test2().name(), 'mixin base');
+    strictEqual(new Test3().name(), 'class mixin base');
+});
+
+test('_super finds methods added to parent later', function () {
+    var Test1 = Toolbox.Base.extend({});
+    var Test2 = Test1.extend({
+        name: function () {
+            return 'test2 ' + this._super();
+        }
+    });
+    Test1.prototype.name = function () {
+        return 'test1';
+    };
+    strictEqual(new Test2().name(), 'test2 test1');
+});
+
+test('_super in method copied to another class', function () {
+    var Test1 = Toolbox.Base.extend({
+        name: function () { return 'test1'; }
+    });
+    var Other = Toolbox.Base.extend({
+        name: function () { return 'other'; }
+    });
+    var Test2 = Test1.extend({
+        name: function () { return 'sub ' + this._super(); }
+    });
+    var Other2 = Other.extend({
+        name: Test2.prototype.name
+    });
+    strictEqual(new Test2().name(), 'sub test1');
+    strictEqual(new Other2().name(), 'sub other');
+});
+
+test('abstract methods', function () {
+    var Test1 = Toolbox.Base.extend({
+        run: Toolbox.abstractMethod,
+        stop: Toolbox.abstractMethod
+    });
+    var Test2 = Test1.extend({
+        run: function () { return 'run'; }
+    });
+    var Test3 = Test2.extend({
+        stop: function () { return 'stop'; }
+    });
+    raises(function () {
+        new Test1();
+    }, 'class with abstract methods cannot be instantiated');
+    raises(function () {
+        new Test2();
+    }, 'subclass that does not provide all abstract methods cannot be instantiated');
+    var t3 = new Test3();
+    strictEqual(t3.run(), 'run');
+    ok(t3 instanceof Test1);
+    strictEqual(t3.constructor, Test3);
+});
+
+test('abstract method error message', function () {
+    var Test1 = Toolbox.Base.extend({
+        run: Toolbox.abstractMethod
+    });
+    var message;
+    try {
+        new Test1();
+    } catch (e) {
+        message = e.message;
+    }
+    ok(/missing methods: run$/.test(message), message);
+});
+
+test('interfaces', function () {
+    var Plugin = Toolbox.defineInterface('Plugin', ['start', 'stop']);
+    var Test1 = Toolbox.Base.extend({
+        interfaces: [Plugin],
+        start: function () {}
+    });
+    var Test2 = Test1.extend({
+        stop: function () {}
+    });
+    strictEqual(Test1.prototype.interfaces, undefined, '"interfaces" should not be copied to the prototype');
+    deepEqual(Test1.__interfaces__, [Plugin]);
+    raises(function () {
+        new Test1();
+    }, 'class missing interface methods cannot be instantiated');
+    ok(new Test2() instanceof Test1);
+});
+
+test('interfaces with constructor', function () {
+    var Plugin = Toolbox.defineInterface('Plugin', ['start']);
+    var Test1 = Toolbox.Base.extend({
+        interfaces: [Plugin],
+        constructor: function (name) {
+            this.name = name;
+        }
+    });
+    var Test2 = Test1.extend({
+        constructor: function (name) {
+            this._super(name + '2');
+        },
+        start: function () {}
+    });
+    strictEqual(new Test2('test').name, 'test2');
+});
+
+test('implements', function () {
+    var Plugin = Toolbox.defineInterface('Plugin', ['start', 'stop']);
+    var Test1 = Toolbox.Base.extend({
+        start: function () {},
+        stop: Toolbox.abstractMethod
+    });
+    var Test2 = Test1.extend({
+        stop: function () {}
+    });
+    ok(!Toolbox.implements(Test1, Plugin), 'abstract methods are not implementations');
+    ok(Toolbox.implements(Test2, Plugin));
+    ok(Toolbox.implements(new Test2(), Plugin));
+    ok(Toolbox.implements({ start: function () {}, stop: function () {} }, Plugin));
+    ok(!Toolbox.implements({ start: function () {} }, Plugin));
+});
+
+test('static properties are copied by default', function () {
+    var Test1 = Toolbox.Base.extend({}, { one: 1 });
+    var Test2 = Test1.extend({}, { two: 2 });
+    Test1.one = 'changed';
+    Test1.three = 3;
+    strictEqual(Test2.one, 1);
+    strictEqual(Test2.three, undefined);
+    deepEqual(Toolbox.ownStatics(Test2), ['two']);
+});
+
+test('live static properties', function () {
+    var Test1 = Toolbox.Base.extend({}, { one: 1 }, { liveStatics: true });
+    var Test2 = Test1.extend({}, { two: 2 });
+    var Test3 = Test2.extend({});
+    Test1.one = 'changed';
+    Test1.three = 3;
+    strictEqual(Test2.one, 'changed', 'changed static is seen by subclass');
+    strictEqual(Test3.three, 3, 'added static is seen by subclasses');
+    ok(!Test2.hasOwnProperty('one'));
+    deepEqual(Toolbox.ownStatics(Test2), ['two']);
+    deepEqual(Toolbox.ownStatics(Test3), []);
+    ok(new Test3() instanceof Test1);
+    strictEqual(Test3.__super__, Test2.prototype);
+});
+
+test('merged static properties', function () {
+    var Test1 = Toolbox.Base.extend({}, {
+        defaults: { size: { width: 10, height: 10 }, tags: ['a'], color: 'red' },
+        other: { one: 1 }
+    }, { mergeStatics: ['defaults'] });
+    var Test2 = Test1.extend({}, {
+        defaults: { size: { width: 20 }, tags: ['b'] },
+        other: { two: 2 }
+    });
+    var Test3 = Test2.extend({}, {
+        defaults: { color: 'blue' }
+    });
+    deepEqual(Test2.defaults, { size: { width: 20, height: 10 }, tags: ['b'], color: 'red' });
+    deepEqual(Test3.defaults, { size: { width: 20, height: 10 }, tags: ['b'], color: 'blue' },
+        'merging is inherited by subclasses');
+    deepEqual(Test1.defaults, { size: { width: 10, height: 10 }, tags: ['a'], color: 'red' },
+        'parent config is not modified');
+    deepEqual(Test2.other, { two: 2 }, 'other statics are replaced');
+});
+
+test('live merged static properties', function () {
+    var Test1 = Toolbox.Base.extend({}, {
+        defaults: { a: 1, size: { width: 10 } }
+    }, { liveStatics: true, mergeStatics: ['defaults'] });
+    var Test2 = Test1.extend({}, {
+        defaults: { b: 2 }
+    });
+    var Test3 = Test2.extend({});
+    deepEqual(Test2.defaults, { a: 1, size: { width: 10 }, b: 2 });
+    deepEqual(Test1.defaults, { a: 1, size: { width: 10 } }, 'parent config is not modified');
+    Test1.defaults.a = 9;
+    Test1.defaults.size.width = 20;
+    deepEqual(Test2.defaults, { a: 9, size: { width: 20 }, b: 2 }, 'changes to the parent value are seen');
+    deepEqual(Test3.defaults, { a: 9, size: { width: 20 }, b: 2 });
+    Test2.defaults = { b: 3 };
+    deepEqual(Test3.defaults, { a: 9, size: { width: 20 }, b: 3 }, 'assigning replaces the own value');
+    deepEqual(Toolbox.ownStatics(Test2), ['defaults']);
+});
+
+test('named classes', function () {
+    var Test1 = Toolbox.Base.extend('test.Named1', {
+        one: 1
+    }, {
+        two: 2
+    });
+    var Test2 = Test1.extend({});
+    strictEqual(new Test1().one, 1);
+    strictEqual(Test1.two, 2);
+    strictEqual(Test1.__name__, 'test.Named1');
+    strictEqual(String(Test1), 'test.Named1');
+    strictEqual(Test1.name, 'test_Named1', 'constructor function is named');
+    strictEqual(Test2.__name__, null, 'name is not inherited');
+    ok(String(Test2) !== 'test.Named1');
+    deepEqual(Toolbox.ownStatics(Test1), ['two']);
+    ok(new Test2() instanceof Test1);
+    strictEqual(new Test1().constructor, Test1);
+});
+
+test('named class with options', function () {
+    var Test1 = Toolbox.Base.extend('test.Named2', {}, {
+        defaults: { one: 1 }
+    }, {
+        mergeStatics: ['defaults']
+    });
+    var Test2 = Test1.extend('test.Named3', {}, {
+        defaults: { two: 2 }
+    });
+    deepEqual(Test2.defaults, { one: 1, two: 2 });
+});
+
+test('class registry', function () {
+    var Test1 = Toolbox.Base.extend('test.Registry1', {});
+    var Test2 = Test1.extend('test.Registry2', {});
+    var Test3 = Test1.extend({});
+    var Test4 = Test3.extend('test.Registry4', {});
+    strictEqual(Toolbox.getClass('test.Registry1'), Test1);
+    strictEqual(Toolbox.getClass('test.Registry2'), Test2);
+    strictEqual(Toolbox.getClass('test.Unknown'), undefined);
+    strictEqual(Toolbox.getClass('toString'), undefined);
+    deepEqual(Toolbox.subclassesOf(Test1), [Test2, Test4]);
+    deepEqual(Toolbox.subclassesOf(Test2), []);
+    raises(function () {
+        Toolbox.Base.extend('test.Registry1', {});
+    }, 'names must be unique');
+});
+
+test('named class with abstract methods', function () {
+    var Test1 = Toolbox.Base.extend('test.Abstract1', {
+        run: Toolbox.abstractMethod
+    });
+    var Test2 = Test1.extend('test.Abstract2', {
+        run: function () {}
+    });
+    var message;
+    try {
+        new Test1();
+    } catch (e) {
+        message = e.message;
+    }
+    ok(/test\.Abstract1/.test(message), message);
+    ok(new Test2() instanceof Test1);
+});
+
+test('named abstract class with a subclass constructor', function () {
+    var Test1 = Toolbox.Base.extend('test.Abstract3', {
+        run: Toolbox.abstractMethod
+    });
+    var Test2 = Test1.extend({
+        constructor: function () {}
+    });
+    var Test3 = Test2.extend('test.Abstract4', {
+        run: function () {}
+    });
+    raises(function () {
+        new Test2();
+    }, 'subclass without the method cannot be instantiated');
+    ok(new Test3() instanceof Test1);
+});
+
+
+module('Toolbox advice');
+
+test('before and after', function () {
+    var calls = [];
+    var Test1 = Toolbox.Base.extend({
+        add: function (a, b) {
+            calls.push('add');
+            return a + b;
+        }
+    });
+    var t1 = new Test1();
+    var before = Toolbox.before(Test1, 'add', function (a, b) {
+        calls.push('before ' + a + ' ' + b);
+    });
+    var after = Toolbox.after(Test1, 'add', function (result, a, b) {
+        calls.push('after ' + result + ' ' + a + ' ' + b);
+    });
+    strictEqual(t1.add(1, 2), 3);
+    deepEqual(calls, ['before 1 2', 'add', 'after 3 1 2']);
+    before.remove();
+    after.remove();
+    calls = [];
+    strictEqual(t1.add(1, 2), 3);
+    deepEqual(calls, ['add']);
+    ok(!Test1.prototype.add.__advice__, 'original method is restored');
+});
+
+test('around', function () {
+    var Test1 = Toolbox.Base.extend({
+        name: function (suffix) {
+            return 'test1' + suffix;
+        }
+    });
+    var t1 = new Test1();
+    var inner = Toolbox.around(Test1, 'name', function (proceed, suffix) {
+        return 'inner(' + proceed(suffix + '?') + ')';
+    });
+    var outer = Toolbox.around(Test1, 'name', function (proceed, suffix) {
+        strictEqual(this, t1);
+        return 'outer(' + proceed(suffix) + ')';
+    });
+    strictEqual(t1.name('!'), 'outer(inner(test1!?))');
+    inner.remove();
+    strictEqual(t1.name('!'), 'outer(test1!)');
+    outer.remove();
+    strictEqual(t1.name('!'), 'test1!');
+});
+
+test('class advice is inherited', function () {
+    var Test1 = Toolbox.Base.extend({
+        name: function () {
+            return 'test1';
+        }
+    });
+    var Test2 = Test1.extend({});
+    var Test3 = Test1.extend({
+        name: function () {
+            return 'test3 ' + this._super();
+        }
+    });
+    var handle = Toolbox.around(Test1, 'name', function (proceed) {
+        return '[' + proceed() + ']';
+    });
+    strictEqual(new Test2().name(), '[test1]');
+    strictEqual(new Test3().name(), 'test3 [test1]');
+    handle.remove();
+    strictEqual(new Test2().name(), 'test1');
+});
+
+test('instance advice', function () {
+    var Test1 = Toolbox.Base.extend({
+        name: function () {
+            return 'test1';
+        }
+    });
+    var t1 = new Test1();
+    var t2 = new Test1();
+    var instanceHandle = Toolbox.around(t1, 'name', function (proceed) {
+        return 'instance ' + proceed();
+    });
+    strictEqual(t1.name(), 'instance test1');
+    strictEqual(t2.name(), 'test1', 'other instances are not affected');
+    var classHandle = Toolbox.around(Test1, 'name', function (proceed) {
+        return 'class ' + proceed();
+    });
+    strictEqual(t1.name(), 'instance class test1', 'class advice added later still applies');
+    instanceHandle.remove();
+    ok(!t1.hasOwnProperty('name'), 'instance method is removed');
+    strictEqual(t1.name(), 'class test1');
+    classHandle.remove();
+});
+
+test('advice on LiveObject', function () {
+    var obj = new Toolbox.LiveObject({ one: 1 });
+    var names = [];
+    var handle = Toolbox.before(obj, 'set', function (name, value) {
+        names.push(name);
+    });
+    obj.set('one', 2);
+    handle.remove();
+    obj.set('one', 3);
+    deepEqual(names, ['one']);
+    strictEqual(obj.get('one'), 3);
+});
+
+test('advice on a missing method', function () {
+    var Test1 = Toolbox.Base.extend({
+        label: 'test1'
+    });
+    var message;
+    try {
+        Toolbox.before(Test1, 'run', function () {});
+    } catch (e) {
+        message = e.message;
+    }
+    strictEqual(message, 'Toolbox: cannot add advice to run, which is not a method');
+    raises(function () {
+        Toolbox.after(new Test1(), 'label', function () {});
+    }, 'property that is not a function');
+    ok(!Test1.prototype.hasOwnProperty('run'), 'class is not changed');
+});
+
+
+module('Toolbox.Base with native classes');
+
+// Native classes are created with `eval`, so that this file can still be
+// parsed where they are not supported.
+function nativeClass(source) {
+    try {
+        return eval('(' + source + ')');
+    } catch (e) {
+        return null;
+    }
+}
+
+test('extend a native class', function () {
+    var Native = nativeClass('class { constructor(value) { this.value = value; } name() { return "native"; } static create() { return "created"; } }');
+    if (!Native) {
+        ok(true, 'native classes are not supported');
+        return;
+    }
+    var Test1 = Toolbox.extend(Native, {
+        name: function () {
+            return 'test1 ' + this._super();
+        }
+    });
+    var Test2 = Test1.extend({
+        constructor: function (value) {
+            this._super(value);
+            this.doubled = this.value * 2;
+        }
+    });
+    var t1 = new Test1(1);
+    var t2 = new Test2(2);
+    strictEqual(t1.value, 1);
+    strictEqual(t1.name(), 'test1 native');
+    ok(t1 instanceof Native);
+    strictEqual(t1.constructor, Test1);
+    strictEqual(t2.value, 2, 'native constructor is called');
+    strictEqual(t2.doubled, 4, 'constructor body runs on the native instance');
+    ok(t2 instanceof Test1);
+    ok(t2 instanceof Native);
+    strictEqual(Test1.__super__, Native.prototype);
+    strictEqual(Test2.__super__, Test1.prototype);
+    strictEqual(Test2.create(), 'created', 'native static methods are inherited');
+});
+
+test('native constructor arguments', function () {
+    var Native = nativeClass('class { constructor(value) { this.value = value; } }');
+    if (!Native) {
+        ok(true, 'native classes are not supported');
+        return;
+    }
+    var Test1 = Toolbox.extend(Native, {
+        constructor: function (options) {
+            this._super(options.value);
+        }
+    });
+    var Test2 = Toolbox.extend(Native, {
+        constructor: function (value) {
+            this._super(value);
+            this.checked = true;
+        }
+    });
+    var Test3 = Test2.extend({
+        constructor: function (value) {
+            this._super(value);
+        }
+    });
+    var message;
+    try {
+        new Test1({ value: 5 });
+    } catch (e) {
+        message = e.message;
+    }
+    ok(/_super\(\) cannot pass other arguments/.test(message), message);
+    strictEqual(new Test2(5).value, 5);
+    var t3 = new Test3(6);
+    strictEqual(t3.value, 6, 'same arguments through several constructors');
+    ok(t3.checked);
+});
+
+test('native class extends Toolbox.Base', function () {
+    var Native = nativeClass('class extends Toolbox.Base { constructor(value) { super(); this.value = value; } }');
+    if (!Native) {
+        ok(true, 'native classes are not supported');
+        return;
+    }
+    Native.label = 'native';
+    var Test1 = Native.extend({
+        name: function () {
+            return 'test1';
+        }
+    });
+    var t1 = new Test1(5);
+    strictEqual(t1.value, 5);
+    strictEqual(t1.name(), 'test1');
+    ok(t1 instanceof Toolbox.Base);
+    ok(t1 instanceof Native);
+    strictEqual(Native.__super__, Toolbox.Base.prototype);
+    strictEqual(Test1.__super__, Native.prototype);
+    strictEqual(Test1.label, 'native', 'statics are inherited');
+    strictEqual(Test1.extend, Toolbox.Base.extend);
+});
+
+test('native class extends a Toolbox.Base subclass', function () {
+    var Test1 = Toolbox.Base.extend({
+        constructor: function (value) {
+            this.value = value;
+        },
+        name: function () {
+            return 'test1';
+        }
+    }, {
+        label: 'test1'
+    });
+    window.NativeTestParent = Test1;
+    var Native = nativeClass('class extends NativeTestParent { name() { return "native " + super.name(); } }');
+    delete window.NativeTestParent;
+    if (!Native) {
+        ok(true, 'native classes are not supported');
+        return;
+    }
+    var Test2 = Native.extend({});
+    var t2 = new Test2(3);
+    strictEqual(t2.value, 3);
+    strictEqual(t2.name(), 'native test1');
+    ok(t2 instanceof Test1);
+    strictEqual(Native.__super__, Test1.prototype);
+    strictEqual(Test2.__super__, Native.prototype);
+    strictEqual(Native.label, 'test1');
+    strictEqual(Test2.label, 'test1');
+});
+
+test('native class must implement abstract methods', function () {
+    var Plugin = Toolbox.defineInterface('Plugin', ['stop']);
+    var Test1 = Toolbox.Base.extend({
+        interfaces: [Plugin],
+        run: Toolbox.abstractMethod
+    });
+    window.NativeTestParent = Test1;
+    var Incomplete = nativeClass('class extends NativeTestParent { stop() {} }');
+    var Complete = nativeClass('class extends NativeTestParent { run() { return "run"; } stop() {} }');
+    var NoStop = nativeClass('class extends NativeTestParent { run() {} }');
+    delete window.NativeTestParent;
+    if (!Incomplete) {
+        ok(true, 'native classes are not supported');
+        return;
+    }
+    var message;
+    try {
+        new Incomplete();
+    } catch (e) {
+        message = e.message;
+    }
+    strictEqual(message, 'Toolbox: cannot instantiate a class with missing methods: run');
+    raises(function () {
+        new NoStop();
+    }, 'interface methods are required');
+    strictEqual(new Complete().run(), 'run');
+    raises(function () {
+        new Test1();
+    }, 'base class is still checked');
+});
+
 
 module('Toolbox.LiveObject');
 
@@ -194,25 +902,2004 @@ test('calculated property dependency change events', function () {
     deepEqual(changes, ['one', 'calc1', 'calc2']);
 });
 
-test('binding', function () {
-    var obj1 = new Toolbox.LiveObject({
-        'one': 5
+test('diamond dependency change events', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        x: 1,
+        a: Toolbox.prop(['x'], function () {
+            return this.get('x') + 1;
+        }),
+        b: Toolbox.prop(['x'], function () {
+            return this.get('x') * 2;
+        }),
+        c: Toolbox.prop(['a', 'b'], function () {
+            return this.get('a') + this.get('b');
+        }),
+        d: Toolbox.prop(['c', 'x'], function () {
+            return this.get('c') + this.get('x');
+        })
     });
-    var obj2 = new Toolbox.LiveObject({
-        'two': 10
+    var t1 = new Test1();
+    var changes = [];
+    _.each(['x', 'a', 'b', 'c', 'd'], function (name) {
+        t1.bind(name + 'Changed', function () {
+            changes.push(name + '=' + t1.get(name));
+        });
     });
-    Toolbox.bindProperties(obj1, 'one', obj2, 'two');
-    strictEqual(obj1.get('one'), 10, 'initial binding propagates value to first object');
-    strictEqual(obj2.get('two'), 10, 'initial binding does not propagate value to second object');
-    obj1.set('one', 100);
-    strictEqual(obj2.get('two'), 100, 'change is propagated to second object');
-    obj2.set('two', 200);
-    strictEqual(obj1.get('one'), 200, 'change is propagated to first object');
+    t1.set('x', 2);
+    deepEqual(changes, ['x=2', 'a=3', 'b=4', 'c=7', 'd=9']);
 });
 
-test('null property value', function () {
-    var obj1 = new Toolbox.LiveObject({
-        someProp: null
+test('change event values', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        one: 1
+    });
+    var t1 = new Test1();
+    var events = [];
+    t1.bind('oneChanged', function (event) {
+        events.push(event);
+    });
+    t1.set('one', 2);
+    t1.set('one', 3);
+    strictEqual(events.length, 2);
+    strictEqual(events[0].name, 'one');
+    strictEqual(events[0].value, 2);
+    strictEqual(events[0].previousValue, 1);
+    strictEqual(events[0].source, t1);
+    strictEqual(events[1].value, 3);
+    strictEqual(events[1].previousValue, 2);
+});
+
+test('computed property change event values', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        first: 'John',
+        last: 'Smith',
+        full: Toolbox.prop(['first', 'last'],
+            function () {
+                return this.get('first') + ' ' + this.get('last');
+            },
+            function (value) {
+                var parts = value.split(' ');
+                this.set('first', parts[0]);
+                this.set('last', parts[1]);
+            }
+        )
+    });
+    var t1 = new Test1();
+    var events = [];
+    t1.bind('fullChanged', function (event) {
+        events.push([event.name, event.value, event.previousValue]);
+    });
+    t1.set('first', 'Jane');
+    deepEqual(events, [['full', 'Jane Smith', 'John Smith']],
+        'previous value of computed property is captured before the change');
+    events = [];
+    t1.set('full', 'Bob Jones');
+    deepEqual(events[events.length - 1], ['full', 'Bob Jones', 'Jane Smith']);
+});
+
+test('batch', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        first: 'John',
+        last: 'Smith',
+        age: 30,
+        full: Toolbox.prop(['first', 'last'], function () {
+            return this.get('first') + ' ' + this.get('last');
+        })
+    });
+    var t1 = new Test1();
+    var events = [];
+    _.each(['first', 'last', 'age', 'full'], function (name) {
+        t1.bind(name + 'Changed', function (event) {
+            events.push([event.name, event.value, event.previousValue]);
+        });
+    });
+    var result = t1.batch(function () {
+        this.set('first', 'Jane');
+        this.set('last', 'Doe');
+        this.set('first', 'Janet');
+        strictEqual(events.length, 0, 'no events during the batch');
+        strictEqual(this.get('full'), 'Janet Doe', 'values are updated during the batch');
+        return 'result';
+    });
+    strictEqual(result, 'result');
+    deepEqual(events, [
+        ['first', 'Janet', 'John'],
+        ['last', 'Doe', 'Smith'],
+        ['full', 'Janet Doe', 'John Smith']
+    ]);
+});
+
+test('nested batch', function () {
+    var t1 = new Toolbox.LiveObject({ one: 1, two: 2 });
+    var events = [];
+    t1.bind('oneChanged', function () {
+        events.push('one');
+    });
+    t1.bind('twoChanged', function () {
+        events.push('two');
     });
+    t1.batch(function () {
+        t1.set('one', 10);
+        t1.batch(function () {
+            t1.set('two', 20);
+            t1.set('one', 11);
+        });
+        deepEqual(events, [], 'inner batch does not fire events');
+    });
+    deepEqual(events, ['one', 'two']);
+    events = [];
+    t1.set('one', 12);
+    deepEqual(events, ['one'], 'events fire immediately after the batch');
 });
 
+test('batch fires events when an exception is thrown', function () {
+    var t1 = new Toolbox.LiveObject({ one: 1 });
+    var oneChanged = false;
+    t1.bind('oneChanged', function () {
+        oneChanged = true;
+    });
+    raises(function () {
+        t1.batch(function () {
+            t1.set('one', 2);
+            throw new Error('failed');
+        });
+    });
+    ok(oneChanged);
+});
+
+test('data property named batch', function () {
+    var Order = Toolbox.LiveObject.extend({
+        batch: 'B-17',
+        qty: Toolbox.field(1, { validate: Toolbox.validators.range(1, null) })
+    });
+    var order = new Order();
+    var events = [];
+    order.bind('qtyChanged', function (event) {
+        events.push(event.value);
+    });
+    order.set('qty', 2);
+    order.set('qty', 0);
+    strictEqual(order.get('isValid'), false);
+    order.revert();
+    order.set('batch', 'B-18');
+    order.commit();
+    deepEqual(events, [2, 0, 1]);
+    strictEqual(order.get('batch'), 'B-18');
+    strictEqual(order.get('isDirty'), false);
+    var list = new (Toolbox.LiveArray.extend({ batch: 'B-17' }))();
+    list.push('a');
+    strictEqual(list.get('length'), 1);
+});
+
+test('computed property setter runs in a batch', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        first: 'John',
+        last: 'Smith',
+        full: Toolbox.prop(['first', 'last'],
+            function () {
+                return this.get('first') + ' ' + this.get('last');
+            },
+            function (value) {
+                var parts = value.split(' ');
+                this.set('first', parts[0]);
+                this.set('last', parts[1]);
+            }
+        )
+    });
+    var t1 = new Test1();
+    var events = [];
+    t1.bind('fullChanged', function (event) {
+        events.push(event.value);
+    });
+    t1.set('full', 'Bob Jones');
+    deepEqual(events, ['Bob Jones']);
+});
+
+test('field default value', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        one: Toolbox.field(1)
+    });
+    var t1 = new Test1();
+    var t2 = new Test1({ one: 2 });
+    strictEqual(t1.get('one'), 1);
+    strictEqual(t2.get('one'), 2);
+    t1.set('one', 3);
+    strictEqual(t1.get('one'), 3);
+    strictEqual(new Test1().get('one'), 1);
+});
+
+test('set equal value', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        one: 1,
+        parity: Toolbox.prop(['one'], function () {
+            return this.get('one') % 2;
+        })
+    });
+    var t1 = new Test1();
+    var changes = [];
+    t1.bind('oneChanged', function () {
+        changes.push('one');
+    });
+    t1.bind('parityChanged', function () {
+        changes.push('parity');
+    });
+    t1.set('one', 1);
+    deepEqual(changes, [], 'setting the same value does not fire events');
+    t1.set('one', 3);
+    deepEqual(changes, ['one'], 'unchanged computed property does not fire');
+    t1.set('one', 4);
+    deepEqual(changes, ['one', 'one', 'parity']);
+    changes = [];
+    t1.set('one', NaN);
+    t1.set('one', NaN);
+    deepEqual(changes, ['one', 'parity'], 'NaN is equal to itself');
+});
+
+test('set equal value with comparators', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        tags: Toolbox.field([], { equals: 'deep' }),
+        name: Toolbox.field('', {
+            equals: function (a, b) {
+                return a.toLowerCase() === b.toLowerCase();
+            }
+        }),
+        list: []
+    });
+    var t1 = new Test1();
+    var changes = [];
+    _.each(['tags', 'name', 'list'], function (name) {
+        t1.bind(name + 'Changed', function () {
+            changes.push(name);
+        });
+    });
+    t1.set('tags', ['a']);
+    t1.set('tags', ['a']);
+    t1.set('name', 'Bob');
+    t1.set('name', 'BOB');
+    t1.set('list', []);
+    deepEqual(changes, ['tags', 'name', 'list']);
+    strictEqual(t1.get('name'), 'Bob', 'equal value is not stored');
+});
+
+test('set equal value of computed property', function () {
+    var setterCalls = 0;
+    var Test1 = Toolbox.LiveObject.extend({
+        one: 1,
+        calc1: Toolbox.prop(['one'],
+            function () {
+                return String(this.get('one'));
+            },
+            function (value) {
+                setterCalls++;
+                this.set('one', Number(value));
+            }
+        )
+    });
+    var t1 = new Test1();
+    var calc1Changed = 0;
+    t1.bind('calc1Changed', function () {
+        calc1Changed++;
+    });
+    t1.set('calc1', '1');
+    strictEqual(setterCalls, 1, 'setter is called for an equal value');
+    strictEqual(calc1Changed, 0, 'no change event for an equal value');
+    t1.set('calc1', '2');
+    strictEqual(setterCalls, 2);
+    strictEqual(calc1Changed, 1);
+    var Test2 = Toolbox.LiveObject.extend({
+        raw: 'a',
+        c: Toolbox.prop(['raw'],
+            function () {
+                return this.get('raw');
+            },
+            function (value) {
+                this.set('raw', value + '_set');
+            }
+        )
+    });
+    var t2 = new Test2({ raw: 'a_set' });
+    t2.set('c', 'a_set');
+    strictEqual(t2.get('c'), 'a_set_set', 'setter that transforms the value is called');
+});
+
+test('set with force', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        one: 1,
+        parity: Toolbox.prop(['one'], function () {
+            return this.get('one') % 2;
+        })
+    });
+    var t1 = new Test1();
+    var changes = [];
+    t1.bind('oneChanged', function (event) {
+        changes.push(['one', event.value, event.previousValue]);
+    });
+    t1.bind('parityChanged', function () {
+        changes.push(['parity']);
+    });
+    t1.set('one', 1, { force: true });
+    deepEqual(changes, [['one', 1, 1], ['parity']]);
+});
+
+test('batch skips unchanged properties', function () {
+    var t1 = new Toolbox.LiveObject({ one: 1, two: 2 });
+    var changes = [];
+    t1.bind('oneChanged', function () {
+        changes.push('one');
+    });
+    t1.bind('twoChanged', function () {
+        changes.push('two');
+    });
+    t1.batch(function () {
+        t1.set('one', 10);
+        t1.set('one', 1);
+        t1.set('two', 20);
+    });
+    deepEqual(changes, ['two'], 'property set back to its original value does not fire');
+});
+
+test('cached computed property', function () {
+    var getterCalls = 0;
+    var Test1 = Toolbox.LiveObject.extend({
+        items: [1, 2, 3, 4],
+        other: 'other',
+        even: Toolbox.prop(['items'], function () {
+            getterCalls++;
+            return _.select(this.get('items'), function (item) {
+                return item % 2 === 0;
+            });
+        }, null, { cache: true }),
+        evenCount: Toolbox.prop(['even'], function () {
+            return this.get('even').length;
+        }, null, { cache: true })
+    });
+    var t1 = new Test1();
+    var t2 = new Test1();
+    deepEqual(t1.get('even'), [2, 4]);
+    strictEqual(t1.get('evenCount'), 2);
+    strictEqual(getterCalls, 1, 'getter is only called once');
+    t1.set('other', 'changed');
+    t1.get('even');
+    strictEqual(getterCalls, 1, 'unrelated change keeps the cached value');
+    t1.set('items', [2, 4, 6]);
+    strictEqual(t1.get('evenCount'), 3, 'dependent cached values are invalidated');
+    strictEqual(getterCalls, 2);
+    deepEqual(t2.get('even'), [2, 4], 'values are cached per instance');
+});
+
+test('cached computed property change event', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        one: 1,
+        calc1: Toolbox.prop(['one'], function () {
+            return this.get('one') * 10;
+        }, null, { cache: true })
+    });
+    var t1 = new Test1();
+    var events = [];
+    t1.bind('calc1Changed', function (event) {
+        events.push([event.value, event.previousValue]);
+    });
+    t1.set('one', 2);
+    t1.set('one', 3);
+    deepEqual(events, [[20, 10], [30, 20]]);
+});
+
+test('cached computed property with setter', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        calc1: Toolbox.prop([],
+            function () {
+                return this._value;
+            },
+            function (value) {
+                this._value = value;
+            },
+            { cache: true }
+        )
+    });
+    var t1 = new Test1();
+    t1.set('calc1', 'one');
+    strictEqual(t1.get('calc1'), 'one');
+    t1.set('calc1', 'two');
+    strictEqual(t1.get('calc1'), 'two', 'setting the property invalidates its value');
+});
+
+test('automatic dependency tracking', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        first: 'John',
+        last: 'Smith',
+        full: Toolbox.prop(function () {
+            return this.get('first') + ' ' + this.get('last');
+        }),
+        greeting: Toolbox.prop(function () {
+            return 'Hello ' + this.get('full');
+        })
+    });
+    var t1 = new Test1();
+    var t2 = new Test1();
+    var changes = [];
+    t1.bind('fullChanged', function (event) {
+        changes.push(['full', event.value, event.previousValue]);
+    });
+    t1.bind('greetingChanged', function (event) {
+        changes.push(['greeting', event.value]);
+    });
+    strictEqual(t1.get('greeting'), 'Hello John Smith');
+    t1.set('last', 'Doe');
+    deepEqual(changes, [
+        ['full', 'John Doe', 'John Smith'],
+        ['greeting', 'Hello John Doe']
+    ]);
+    t1.get('greeting');
+    deepEqual(Test1.__smartProperties__.graph.watchers, {}, 'the class graph is not affected');
+    notStrictEqual(t1._watchers, t2._watchers, 'instances have their own watchers');
+});
+
+test('automatic dependency tracking with conditions', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        useNickname: false,
+        name: 'Robert',
+        nickname: 'Bob',
+        displayName: Toolbox.prop(function () {
+            return this.get('useNickname') ? this.get('nickname') : this.get('name');
+        })
+    });
+    var t1 = new Test1();
+    var changes = [];
+    t1.bind('displayNameChanged', function (event) {
+        changes.push(event.value);
+    });
+    strictEqual(t1.get('displayName'), 'Robert');
+    t1.set('nickname', 'Bobby');
+    deepEqual(changes, [], 'property that was not read is not watched');
+    t1.set('useNickname', true);
+    t1.set('nickname', 'Rob');
+    t1.set('name', 'Roberto');
+    deepEqual(changes, ['Bobby', 'Rob'], 'dependencies follow the condition');
+});
+
+test('automatic dependency tracking before the first read', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        a: 1,
+        b: Toolbox.prop(function () {
+            return this.get('a') * 2;
+        }),
+        c: Toolbox.prop(['b'], function () {
+            return this.get('b') + 1;
+        }, null, { cache: true })
+    });
+    var t1 = new Test1();
+    var changes = [];
+    t1.bind('bChanged', function (event) {
+        changes.push(['b', event.value, event.previousValue]);
+    });
+    t1.bind('cChanged', function (event) {
+        changes.push(['c', event.value]);
+    });
+    t1.set('a', 5);
+    deepEqual(changes, [['b', 10, 2], ['c', 11]]);
+    strictEqual(t1.get('c'), 11);
+    var Test2 = Toolbox.LiveObject.extend({
+        list: null,
+        count: Toolbox.prop(function () {
+            return this.get('list').length;
+        })
+    });
+    var t2 = new Test2();
+    var counts = [];
+    t2.bind('countChanged', function (event) {
+        counts.push(event.value);
+    });
+    raises(function () {
+        t2.get('count');
+    }, 'getter that fails still fails when read');
+    t2.set('list', ['x', 'y']);
+    deepEqual(counts, [2], 'properties read before the getter failed are watched');
+});
+
+test('automatic dependency tracking with cache and setter', function () {
+    var getterCalls = 0;
+    var Test1 = Toolbox.LiveObject.extend({
+        one: 1,
+        double: Toolbox.prop(
+            function () {
+                getterCalls++;
+                return this.get('one') * 2;
+            },
+            function (value) {
+                this.set('one', value / 2);
+            },
+            { cache: true }
+        )
+    });
+    var t1 = new Test1();
+    strictEqual(t1.get('double'), 2);
+    strictEqual(t1.get('double'), 2);
+    strictEqual(getterCalls, 1);
+    t1.set('one', 5);
+    strictEqual(t1.get('double'), 10);
+    t1.set('double', 4);
+    strictEqual(t1.get('one'), 2);
+    strictEqual(t1.get('double'), 4);
+});
+
+test('explicit watches override automatic tracking', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        one: 1,
+        two: 2,
+        calc1: Toolbox.prop(['one'], function () {
+            return this.get('one') + this.get('two');
+        })
+    });
+    var t1 = new Test1();
+    var changes = 0;
+    t1.bind('calc1Changed', function () {
+        changes++;
+    });
+    t1.get('calc1');
+    t1.set('two', 3);
+    strictEqual(changes, 0);
+    t1.set('one', 3);
+    strictEqual(changes, 1);
+});
+
+test('automatic dependency tracking does not record reads of other getters', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        one: 1,
+        calc1: Toolbox.prop(['one'], function () {
+            return this.get('one') + 1;
+        }),
+        calc2: Toolbox.prop(function () {
+            return this.get('calc1') + 1;
+        })
+    });
+    var t1 = new Test1();
+    strictEqual(t1.get('calc2'), 3);
+    deepEqual(t1._autoWatches.calc2, ['calc1']);
+});
+
+test('automatic dependency tracking cycles', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        a: Toolbox.prop(function () {
+            return this.get('b');
+        }),
+        b: Toolbox.prop(function () {
+            return this.get('a');
+        })
+    });
+    var t1 = new Test1();
+    var message;
+    try {
+        t1.get('a');
+    } catch (e) {
+        message = e.message;
+    }
+    strictEqual(message, 'Toolbox: circular dependency between properties: a -> b -> a');
+    var Test2 = Toolbox.LiveObject.extend({
+        flag: false,
+        a: Toolbox.prop(function () {
+            return this.get('flag') ? this.get('b') : 1;
+        }),
+        b: Toolbox.prop(function () {
+            return this.get('a') + 1;
+        })
+    });
+    var t2 = new Test2();
+    strictEqual(t2.get('b'), 2);
+    raises(function () {
+        t2.set('flag', true);
+    }, 'conditional cycle');
+    var watchers = t2._watchers;
+    t2.set('flag', false);
+    strictEqual(t2.get('a'), 1, 'object recovers from the cycle');
+    strictEqual(t2.get('b'), 2);
+    strictEqual(t2._watchers, watchers, 'cycle is not added to the watchers');
+    raises(function () {
+        t2.set('flag', true);
+    }, 'cycle is found again');
+});
+
+test('get and set key paths', function () {
+    var address = new Toolbox.LiveObject({ city: 'Paris' });
+    var owner = new Toolbox.LiveObject({ name: 'Ann', address: address, plain: { zip: '75001' } });
+    var t1 = new Toolbox.LiveObject({ owner: owner });
+    strictEqual(t1.get('owner.name'), 'Ann');
+    strictEqual(t1.get('owner.address.city'), 'Paris');
+    strictEqual(t1.get('owner.plain.zip'), '75001', 'paths go through plain objects');
+    strictEqual(t1.get('owner.missing.city'), undefined);
+    var cityChanged = false;
+    address.bind('cityChanged', function () {
+        cityChanged = true;
+    });
+    t1.set('owner.address.city', 'Lyon');
+    strictEqual(address.get('city'), 'Lyon');
+    ok(cityChanged, 'nested object fires change event');
+    t1.set('owner.plain.zip', '69001');
+    strictEqual(owner.get('plain').zip, '69001');
+    raises(function () {
+        t1.set('owner.missing.city', 'Nice');
+    }, 'setting through a missing object');
+});
+
+test('computed property watching key paths', function () {
+    var Person = Toolbox.LiveObject.extend({
+        name: ''
+    });
+    var Pet = Toolbox.LiveObject.extend({
+        owner: null,
+        label: Toolbox.prop(['owner.name'], function () {
+            return 'owned by ' + this.get('owner.name');
+        })
+    });
+    var ann = new Person({ name: 'Ann' });
+    var bob = new Person({ name: 'Bob' });
+    var pet = new Pet({ owner: ann });
+    var events = [];
+    pet.bind('labelChanged', function (event) {
+        events.push(event.value);
+    });
+    ann.set('name', 'Anne');
+    deepEqual(events, ['owned by Anne'], 'nested change fires event');
+    pet.set('owner', bob);
+    deepEqual(events, ['owned by Anne', 'owned by Bob'], 'replacing the nested object fires event');
+    ann.set('name', 'Annie');
+    strictEqual(events.length, 2, 'old nested object is no longer watched');
+    bob.set('name', 'Robert');
+    deepEqual(events[2], 'owned by Robert', 'new nested object is watched');
+    pet.disposeSmartProperties();
+    bob.set('name', 'Rob');
+    strictEqual(events.length, 3, 'listeners are removed by disposeSmartProperties');
+});
+
+test('cached computed property watching key paths', function () {
+    var Order = Toolbox.LiveObject.extend({
+        customer: null,
+        city: Toolbox.prop(['customer.address.city'], function () {
+            return this.get('customer.address.city');
+        }, null, { cache: true })
+    });
+    var address1 = new Toolbox.LiveObject({ city: 'Paris' });
+    var address2 = new Toolbox.LiveObject({ city: 'Rome' });
+    var customer = new Toolbox.LiveObject({ address: address1 });
+    var order = new Order({ customer: customer });
+    var events = [];
+    order.bind('cityChanged', function (event) {
+        events.push([event.value, event.previousValue]);
+    });
+    strictEqual(order.get('city'), 'Paris');
+    address1.set('city', 'Lyon');
+    customer.set('address', address2);
+    address1.set('city', 'Nice');
+    deepEqual(events, [['Lyon', 'Paris'], ['Rome', 'Lyon']]);
+    strictEqual(order.get('city'), 'Rome');
+});
+
+test('replacing an object on a key path from a listener', function () {
+    var Owner = Toolbox.LiveObject.extend({
+        name: ''
+    });
+    var Car = Toolbox.LiveObject.extend({
+        owner: null,
+        ownerName: Toolbox.prop(['owner.name'], function () {
+            return this.get('owner.name');
+        })
+    });
+    var first = new Owner({ name: 'a' });
+    var second = new Owner({ name: 'c' });
+    var car;
+    var calls = [];
+    first.bind('nameChanged', function () {
+        calls.push('first');
+        car.set('owner', second);
+    });
+    first.bind('nameChanged', function () {
+        calls.push('second');
+    });
+    car = new Car({ owner: first });
+    var names = [];
+    car.bind('ownerNameChanged', function (event) {
+        names.push(event.value);
+    });
+    first.set('name', 'b');
+    deepEqual(names, ['c']);
+    deepEqual(calls, ['first', 'second'], 'the other listeners are still called');
+    first.set('name', 'd');
+    deepEqual(names, ['c'], 'the old object is no longer watched');
+    second.set('name', 'e');
+    deepEqual(names, ['c', 'e']);
+});
+
+test('numeric property names', function () {
+    var obj = new Toolbox.LiveObject({ 1: 'one' });
+    var events = [];
+    obj.bind('1Changed', function (event) {
+        events.push(event.value);
+    });
+    strictEqual(obj.get(1), 'one');
+    obj.set(1, 'uno');
+    strictEqual(obj.get('1'), 'uno');
+    deepEqual(events, ['uno']);
+});
+
+test('computed property watching each element of an array', function () {
+    var Line = Toolbox.LiveObject.extend({
+        quantity: 1,
+        price: 0
+    });
+    var Invoice = Toolbox.LiveObject.extend({
+        lines: [],
+        total: Toolbox.prop(['lines.*.quantity', 'lines.*.price'], function () {
+            return _.reduce(this.get('lines'), function (sum, line) {
+                return sum + line.get('quantity') * line.get('price');
+            }, 0);
+        })
+    });
+    var line1 = new Line({ quantity: 2, price: 10 });
+    var line2 = new Line({ quantity: 1, price: 5 });
+    var line3 = new Line({ quantity: 1, price: 1 });
+    var invoice = new Invoice({ lines: [line1, line2] });
+    var totals = [];
+    invoice.bind('totalChanged', function (event) {
+        totals.push(event.value);
+    });
+    strictEqual(invoice.get('total'), 25);
+    deepEqual(invoice.get('lines.*.price'), [10, 5], 'get with * returns the values for each element');
+    line1.set('quantity', 3);
+    line2.set('price', 6);
+    deepEqual(totals, [35, 36]);
+    invoice.set('lines', [line2, line3]);
+    deepEqual(totals, [35, 36, 7]);
+    line1.set('price', 100);
+    strictEqual(totals.length, 3, 'removed element is no longer watched');
+    line3.set('price', 2);
+    deepEqual(totals, [35, 36, 7, 8], 'added element is watched');
+});
+
+test('automatic dependency tracking across objects', function () {
+    var settings = new Toolbox.LiveObject({ currency: 'EUR' });
+    var other = new Toolbox.LiveObject({ currency: 'USD' });
+    var Price = Toolbox.LiveObject.extend({
+        amount: 10,
+        settings: settings,
+        label: Toolbox.prop(function () {
+            return this.get('amount') + ' ' + this.get('settings').get('currency');
+        })
+    });
+    var price = new Price();
+    var labels = [];
+    price.bind('labelChanged', function (event) {
+        labels.push(event.value);
+    });
+    strictEqual(price.get('label'), '10 EUR');
+    settings.set('currency', 'GBP');
+    deepEqual(labels, ['10 GBP'], 'change on other object fires event');
+    price.set('settings', other);
+    deepEqual(labels, ['10 GBP', '10 USD']);
+    settings.set('currency', 'CHF');
+    strictEqual(labels.length, 2, 'old object is no longer watched');
+    other.set('currency', 'JPY');
+    deepEqual(labels, ['10 GBP', '10 USD', '10 JPY'], 'new object is watched');
+    price.disposeSmartProperties();
+    other.set('currency', 'CAD');
+    strictEqual(labels.length, 3, 'listeners are removed by disposeSmartProperties');
+});
+
+test('automatic dependency tracking across objects with cache', function () {
+    var line1 = new Toolbox.LiveObject({ price: 1 });
+    var line2 = new Toolbox.LiveObject({ price: 2 });
+    var Invoice = Toolbox.LiveObject.extend({
+        lines: [],
+        total: Toolbox.prop(function () {
+            return _.reduce(this.get('lines'), function (sum, line) {
+                return sum + line.get('price');
+            }, 0);
+        }, null, { cache: true })
+    });
+    var invoice = new Invoice({ lines: [line1, line2] });
+    var events = [];
+    invoice.bind('totalChanged', function (event) {
+        events.push([event.value, event.previousValue]);
+    });
+    strictEqual(invoice.get('total'), 3);
+    line2.set('price', 5);
+    deepEqual(events, [[6, 3]]);
+    strictEqual(invoice.get('total'), 6);
+});
+
+test('automatic dependency tracking dropping an object from its listener', function () {
+    var Item = Toolbox.LiveObject.extend({
+        b: 1
+    });
+    var Holder = Toolbox.LiveObject.extend({
+        src: null,
+        value: Toolbox.prop(function () {
+            return this.get('src').get('b');
+        })
+    });
+    var first = new Item();
+    var second = new Item({ b: 10 });
+    var holder;
+    first.bind('bChanged', function () {
+        holder.set('src', second);
+    });
+    holder = new Holder({ src: first });
+    var values = [];
+    holder.bind('valueChanged', function (event) {
+        values.push(event.value);
+    });
+    strictEqual(holder.get('value'), 1);
+    first.set('b', 2);
+    deepEqual(values, [10]);
+    first.set('b', 3);
+    deepEqual(values, [10], 'the dropped object is no longer watched');
+    second.set('b', 11);
+    deepEqual(values, [10, 11]);
+});
+
+test('previous values of properties watching other objects', function () {
+    var Address = Toolbox.LiveObject.extend({
+        city: ''
+    });
+    var Person = Toolbox.LiveObject.extend({
+        address: null,
+        city: Toolbox.prop(['address.city'], function () {
+            return this.get('address.city');
+        }),
+        label: Toolbox.prop(function () {
+            return 'in ' + this.get('address').get('city');
+        }),
+        shout: Toolbox.prop(['city'], function () {
+            return this.get('city').toUpperCase();
+        })
+    });
+    var address = new Address({ city: 'Oslo' });
+    var person = new Person({ address: address });
+    var events = [];
+    _.each(['city', 'label', 'shout'], function (name) {
+        person.bind(name + 'Changed', function (event) {
+            events.push([name, event.value, event.previousValue]);
+        });
+    });
+    person.get('label');
+    person.get('shout');
+    address.set('city', 'Bergen');
+    deepEqual(events, [
+        ['city', 'Bergen', 'Oslo'],
+        ['shout', 'BERGEN', 'OSLO'],
+        ['label', 'in Bergen', 'in Oslo']
+    ]);
+});
+
+test('validation records errors', function () {
+    var v = Toolbox.validators;
+    var Person = Toolbox.LiveObject.extend({
+        name: Toolbox.field('', { validate: v.required() }),
+        age: Toolbox.field(null, { validate: [v.type('number'), v.range(0, 150)] }),
+        email: Toolbox.field(null, { validate: v.pattern(/@/, 'is not an email address') }),
+        nickname: Toolbox.field(null, {
+            validate: function (value) {
+                if (value === this.get('name')) return 'must differ from the name';
+            }
+        })
+    });
+    var person = new Person();
+    var events = [];
+    person.bind('invalid', function (event) {
+        events.push(['invalid', event.name, event.errors, event.value]);
+    });
+    person.bind('valid', function (event) {
+        events.push(['valid', event.name, event.value]);
+    });
+    strictEqual(person.get('isValid'), true, 'properties are not validated until set');
+    person.set('age', 200);
+    strictEqual(person.get('age'), 200, 'invalid value is recorded');
+    strictEqual(person.get('isValid'), false);
+    deepEqual(person.getErrors('age'), ['must be between 0 and 150']);
+    deepEqual(person.get('errors'), { age: ['must be between 0 and 150'] });
+    person.set('age', 'old');
+    deepEqual(person.getErrors('age'), ['must be of type number', 'must be between 0 and 150']);
+    person.set('age', 40);
+    deepEqual(person.getErrors('age'), []);
+    strictEqual(person.get('isValid'), true);
+    deepEqual(events, [
+        ['invalid', 'age', ['must be between 0 and 150'], 200],
+        ['invalid', 'age', ['must be of type number', 'must be between 0 and 150'], 'old'],
+        ['valid', 'age', 40]
+    ]);
+    person.set('email', 'nobody');
+    deepEqual(person.getErrors('email'), ['is not an email address']);
+    person.set('name', 'Al');
+    person.set('nickname', 'Al');
+    deepEqual(person.getErrors('nickname'), ['must differ from the name'], 'custom validator runs on the object');
+    strictEqual(person.validate('email'), false);
+    person.set('name', '');
+    strictEqual(person.validate(), false);
+    deepEqual(_.keys(person.get('errors')).sort(), ['email', 'name']);
+});
+
+test('validation events on isValid and errors', function () {
+    var Form = Toolbox.LiveObject.extend({
+        code: Toolbox.field('', { validate: Toolbox.validators.pattern(/^\d+$/) }),
+        canSubmit: Toolbox.prop(['isValid'], function () {
+            return this.get('isValid');
+        })
+    });
+    var form = new Form();
+    var events = [];
+    form.bind('isValidChanged', function (event) {
+        events.push(['isValid', event.value]);
+    });
+    form.bind('canSubmitChanged', function (event) {
+        events.push(['canSubmit', event.value]);
+    });
+    form.bind('errorsChanged', function (event) {
+        events.push(['errors', event.value]);
+    });
+    form.set('code', 'abc');
+    form.set('code', 'def');
+    form.set('code', '12');
+    deepEqual(events, [
+        ['errors', { code: ['is invalid'] }],
+        ['isValid', false],
+        ['canSubmit', false],
+        ['errors', {}],
+        ['isValid', true],
+        ['canSubmit', true]
+    ]);
+});
+
+test('cached properties watching validation state', function () {
+    var Form = Toolbox.LiveObject.extend({
+        code: Toolbox.field('', { validate: Toolbox.validators.pattern(/^\d+$/) }),
+        canSubmit: Toolbox.prop(['isValid'], function () {
+            return this.get('isValid');
+        }, null, { cache: true }),
+        errorCount: Toolbox.prop(['errors'], function () {
+            return _.keys(this.get('errors')).length;
+        }, null, { cache: true })
+    });
+    var form = new Form();
+    strictEqual(form.get('canSubmit'), true);
+    strictEqual(form.get('errorCount'), 0);
+    form.set('code', 'abc');
+    strictEqual(form.get('canSubmit'), false);
+    strictEqual(form.get('errorCount'), 1);
+    form.set('code', '12');
+    strictEqual(form.get('canSubmit'), true);
+    strictEqual(form.get('errorCount'), 0);
+});
+
+test('validation rejecting invalid values', function () {
+    var Account = Toolbox.LiveObject.extend({
+        balance: Toolbox.field(0, { validate: Toolbox.validators.range(0, null), rejectInvalid: true })
+    });
+    var account = new Account();
+    var invalid = [];
+    var changes = 0;
+    account.bind('invalid', function (event) {
+        invalid.push([event.name, event.errors, event.value]);
+    });
+    account.bind('balanceChanged', function () {
+        changes++;
+    });
+    account.set('balance', -5);
+    strictEqual(account.get('balance'), 0, 'invalid value is not set');
+    strictEqual(changes, 0);
+    strictEqual(account.get('isValid'), true, 'rejected value is not recorded as an error');
+    deepEqual(invalid, [['balance', ['must be at least 0'], -5]]);
+    account.set('balance', 10);
+    strictEqual(account.get('balance'), 10);
+});
+
+test('asynchronous validation', function () {
+    function deferred() {
+        var callbacks;
+        return {
+            then: function (done, fail) {
+                callbacks = { done: done, fail: fail };
+            },
+            resolve: function (value) {
+                callbacks.done(value);
+            },
+            reject: function (reason) {
+                callbacks.fail(reason);
+            }
+        };
+    }
+    var checks = [];
+    var User = Toolbox.LiveObject.extend({
+        login: Toolbox.field('', {
+            validate: [Toolbox.validators.required(), function (value) {
+                var check = deferred();
+                checks.push(check);
+                return check;
+            }],
+            rejectInvalid: true
+        })
+    });
+    var user = new User();
+    user.set('login', 'taken');
+    strictEqual(user.get('isValid'), true, 'valid until the check resolves');
+    checks[0].resolve('is already taken');
+    strictEqual(user.get('login'), 'taken', 'asynchronous errors do not reject values');
+    deepEqual(user.getErrors('login'), ['is already taken']);
+    user.set('login', 'free');
+    user.set('login', 'other');
+    checks[1].resolve('is already taken');
+    deepEqual(user.getErrors('login'), [], 'result for an outdated value is ignored');
+    checks[2].resolve(undefined);
+    strictEqual(user.get('isValid'), true);
+    user.set('login', 'offline');
+    checks[3].reject(new Error('could not check'));
+    deepEqual(user.getErrors('login'), ['could not check'], 'rejected promise is an error');
+    var form = new (Toolbox.LiveObject.extend({
+        getErrors: null,
+        code: Toolbox.field('', { validate: function () {
+            var check = deferred();
+            checks.push(check);
+            return check;
+        } })
+    }))();
+    form.set('code', 'x');
+    checks[4].resolve('is unknown');
+    deepEqual(form.get('errors'), { code: ['is unknown'] }, 'data property named getErrors');
+});
+
+test('typed properties convert values', function () {
+    var Address = Toolbox.LiveObject.extend({
+        city: Toolbox.field('', { type: 'string' })
+    });
+    var Order = Toolbox.LiveObject.extend({
+        quantity: Toolbox.field(0, { type: 'number' }),
+        gift: Toolbox.field(false, { type: 'boolean' }),
+        reference: Toolbox.field('', { type: 'string' }),
+        date: Toolbox.field(null, { type: 'date' }),
+        status: Toolbox.field('open', { type: Toolbox.types.oneOf(['open', 'closed']) }),
+        address: Toolbox.field(null, { type: Address }),
+        sizes: Toolbox.field([], { type: Toolbox.types.arrayOf('number') })
+    });
+    var order = new Order();
+    order.set('quantity', '42');
+    strictEqual(order.get('quantity'), 42);
+    order.set('gift', 'true');
+    strictEqual(order.get('gift'), true);
+    order.set('reference', 1234);
+    strictEqual(order.get('reference'), '1234');
+    order.set('date', '2011-03-14T10:00:00Z');
+    ok(_.isDate(order.get('date')));
+    strictEqual(order.get('date').getTime(), Date.UTC(2011, 2, 14, 10));
+    order.set('address', { city: 'Paris' });
+    ok(order.get('address') instanceof Address, 'plain object is converted to the class');
+    strictEqual(order.get('address').get('city'), 'Paris');
+    order.set('sizes', ['1', 2]);
+    deepEqual(order.get('sizes'), [1, 2]);
+    order.set('date', null);
+    strictEqual(order.get('date'), null, 'null is accepted');
+});
+
+test('typed properties reject unconvertible values', function () {
+    var Order = Toolbox.LiveObject.extend({
+        quantity: Toolbox.field(1, { type: 'number' }),
+        status: Toolbox.field('open', { type: Toolbox.types.oneOf(['open', 'closed']) }),
+        sizes: Toolbox.field([], { type: Toolbox.types.arrayOf('number') })
+    });
+    var order = new Order();
+    var events = [];
+    order.bind('invalid', function (event) {
+        events.push([event.name, event.errors, event.value]);
+    });
+    order.bind('quantityChanged', function () {
+        events.push('changed');
+    });
+    order.set('quantity', 'many');
+    order.set('quantity', '');
+    order.set('status', 'lost');
+    order.set('sizes', ['1', 'x']);
+    strictEqual(order.get('quantity'), 1);
+    strictEqual(order.get('status'), 'open');
+    deepEqual(order.get('sizes'), []);
+    deepEqual(events, [
+        ['quantity', ['cannot be converted to number'], 'many'],
+        ['quantity', ['cannot be converted to number'], ''],
+        ['status', ['cannot be converted to one of open, closed'], 'lost'],
+        ['sizes', ['cannot be converted to array of number'], ['1', 'x']]
+    ]);
+    order.set('quantity', '1');
+    strictEqual(events.length, 4, 'converted value equal to the current value is not a change');
+});
+
+test('typed properties convert initial values', function () {
+    var Address = Toolbox.LiveObject.extend({
+        city: ''
+    });
+    var Order = Toolbox.LiveObject.extend({
+        quantity: Toolbox.field(0, { type: 'number' }),
+        date: Toolbox.field(null, { type: 'date' }),
+        address: Toolbox.field(null, { type: Address }),
+        note: Toolbox.field('', { type: 'string' })
+    });
+    var order = new Order({ quantity: '5', date: '2011-03-14T10:00:00Z', address: { city: 'Paris' } });
+    strictEqual(order.get('quantity'), 5);
+    ok(_.isDate(order.get('date')));
+    ok(order.get('address') instanceof Address);
+    strictEqual(order.get('note'), '', 'defaults are kept');
+    raises(function () {
+        new Order({ quantity: 'many' });
+    }, 'unconvertible initial value throws');
+});
+
+test('schema reflection', function () {
+    var Product = Toolbox.LiveObject.extend({
+        name: Toolbox.field('', { type: 'string', validate: Toolbox.validators.required() }),
+        price: Toolbox.field(0, { type: 'number' }),
+        notes: 'not declared',
+        label: Toolbox.prop(['name', 'price'], function () {
+            return this.get('name') + ': ' + this.get('price');
+        }),
+        title: Toolbox.prop(function () {
+            return this.get('name');
+        }, function (value) {
+            this.set('name', value);
+        })
+    });
+    var schema = Toolbox.schemaOf(Product);
+    deepEqual(_.keys(schema).sort(), ['label', 'name', 'price', 'title'], 'SmartProperties declarations are left out');
+    strictEqual(schema.name.type, 'string');
+    strictEqual(schema.name.computed, false);
+    strictEqual(schema.name.defaultValue, '');
+    ok(_.isFunction(schema.name.options.validate), 'options are available');
+    strictEqual(schema.label.computed, true);
+    deepEqual(schema.label.watches, ['name', 'price']);
+    strictEqual(schema.label.readOnly, true);
+    strictEqual(schema.label.type, null);
+    strictEqual(schema.title.watches, null);
+    strictEqual(schema.title.readOnly, false);
+    deepEqual(Toolbox.schemaOf(new Product()).price, schema.price, 'instances can be described');
+});
+
+test('JSON serialization', function () {
+    var Address = Toolbox.LiveObject.extend({
+        city: Toolbox.field('', { type: 'string' })
+    });
+    var Person = Toolbox.LiveObject.extend({
+        name: Toolbox.field(''),
+        born: Toolbox.field(null, { type: 'date' }),
+        tags: [],
+        address: Toolbox.field(null, { type: Address }),
+        _secret: 'hidden',
+        greeting: Toolbox.prop(['name'], function () {
+            return 'Hello ' + this.get('name');
+        }),
+        greet: function () {
+            return this.get('greeting');
+        }
+    });
+    var person = new Person({ name: 'Ann', tags: ['a'] });
+    person.bind('nameChanged', function () {});
+    person.set('born', new Date(Date.UTC(1980, 0, 2)));
+    person.set('address', { city: 'Oslo' });
+    person.get('greeting');
+    deepEqual(person.toJSON(), {
+        name: 'Ann',
+        born: '1980-01-02T00:00:00.000Z',
+        tags: ['a'],
+        address: { city: 'Oslo' }
+    });
+    deepEqual(JSON.parse(JSON.stringify(person)), person.toJSON(), 'JSON.stringify uses toJSON');
+    deepEqual(new Person().toJSON(), { name: '', born: null, tags: [], address: null }, 'defaults are included');
+});
+
+test('JSON hydration', function () {
+    var Line = Toolbox.LiveObject.extend({
+        price: Toolbox.field(0, { type: 'number' })
+    });
+    var Address = Toolbox.LiveObject.extend({
+        city: Toolbox.field('')
+    }, {
+        fromJSON: function (data) {
+            return new Address({ city: data.city.toUpperCase() });
+        }
+    });
+    var Order = Toolbox.LiveObject.extend({
+        date: Toolbox.field(null, { type: 'date' }),
+        address: Toolbox.field(null, { type: Address }),
+        lines: Toolbox.field([], { type: Toolbox.types.arrayOf(Line) }),
+        note: '',
+        total: Toolbox.prop(['lines'], function () {
+            return _.reduce(this.get('lines'), function (sum, line) {
+                return sum + line.get('price');
+            }, 0);
+        })
+    });
+    var order = Order.fromJSON({
+        date: '2011-05-01T00:00:00.000Z',
+        address: { city: 'Rome' },
+        lines: [{ price: 2 }, { price: 3 }],
+        note: 'fragile',
+        total: 100
+    });
+    ok(order instanceof Order);
+    ok(_.isDate(order.get('date')));
+    strictEqual(order.get('address').get('city'), 'ROME', 'class fromJSON is used for nested objects');
+    ok(order.get('lines')[0] instanceof Line, 'arrays of objects are rebuilt');
+    strictEqual(order.get('total'), 5, 'computed properties are not overwritten');
+    strictEqual(order.get('note'), 'fragile');
+    deepEqual(Order.fromJSON(order.toJSON()).toJSON(), order.toJSON(), 'round trip');
+    raises(function () {
+        Order.fromJSON({ date: 'never' });
+    }, 'unconvertible data throws');
+});
+
+test('history undo and redo', function () {
+    var Doc = Toolbox.LiveObject.extend({
+        title: '',
+        size: 10,
+        fullTitle: Toolbox.prop(['title'], function () {
+            return this.get('title') + '!';
+        }, function (value) {
+            this.set('title', value.replace(/!$/, ''));
+        })
+    });
+    var doc = new Doc();
+    var history = new Toolbox.History();
+    var events = [];
+    history.bind('canUndoChanged', function (event) {
+        events.push(['canUndo', event.value]);
+    });
+    history.bind('canRedoChanged', function (event) {
+        events.push(['canRedo', event.value]);
+    });
+    history.track(doc);
+    doc.set('title', 'One');
+    doc.set('title', 'Two');
+    doc.set('title', 'Two');
+    doc.set('fullTitle', 'Three!');
+    strictEqual(history.get('undoLabel'), 'fullTitle');
+    ok(history.undo());
+    strictEqual(doc.get('title'), 'Two', 'set through a computed setter is one step');
+    ok(history.undo());
+    strictEqual(doc.get('title'), 'One');
+    strictEqual(history.get('redoLabel'), 'title');
+    ok(history.redo());
+    strictEqual(doc.get('title'), 'Two');
+    ok(history.undo());
+    ok(history.undo());
+    strictEqual(doc.get('title'), '');
+    ok(!history.undo(), 'nothing left to undo');
+    strictEqual(history.get('canUndo'), false);
+    strictEqual(history.get('canRedo'), true);
+    doc.set('size', 12);
+    strictEqual(history.get('canRedo'), false, 'a new change clears the redo steps');
+    deepEqual(events, [['canUndo', true], ['canRedo', true], ['canUndo', false], ['canUndo', true], ['canRedo', false]]);
+    history.untrack(doc);
+    doc.set('size', 14);
+    ok(history.undo());
+    strictEqual(doc.get('size'), 10);
+    strictEqual(history.get('canUndo'), false, 'changes after untrack are not recorded');
+});
+
+test('history groups and capacity', function () {
+    var a = new Toolbox.LiveObject({ x: 0 });
+    var b = new Toolbox.LiveObject({ y: 0 });
+    var history = new Toolbox.History({ capacity: 2 });
+    history.track(a);
+    history.track(b);
+    b.bind('yChanged', function (event) {
+        a.set('x', event.value * 2);
+    });
+    var result = history.group('move', function () {
+        a.set('x', 1);
+        history.group('inner', function () {
+            b.set('y', 2);
+        });
+        return 'done';
+    });
+    strictEqual(result, 'done');
+    strictEqual(history.get('undoLabel'), 'move');
+    history.undo();
+    strictEqual(a.get('x'), 0);
+    strictEqual(b.get('y'), 0);
+    strictEqual(history.get('canUndo'), false, 'group is a single step');
+    history.redo();
+    strictEqual(a.get('x'), 4);
+    strictEqual(b.get('y'), 2);
+    a.set('x', 5);
+    a.set('x', 6);
+    history.undo();
+    history.undo();
+    strictEqual(history.undo(), false, 'oldest step is dropped');
+    strictEqual(a.get('x'), 4);
+});
+
+test('history of changes made by listeners', function () {
+    var a = new Toolbox.LiveObject({ x: 1 });
+    var b = new Toolbox.LiveObject({ count: 0 });
+    var history = new Toolbox.History();
+    history.track(a);
+    history.track(b);
+    a.bind('xChanged', function () {
+        b.set('count', b.get('count') + 1);
+    });
+    a.set('x', 2);
+    strictEqual(b.get('count'), 1);
+    strictEqual(history.get('undoLabel'), 'x');
+    history.undo();
+    strictEqual(a.get('x'), 1);
+    strictEqual(b.get('count'), 0, 'change made by a listener is undone');
+    strictEqual(history.get('canUndo'), false, 'changes are a single step');
+    history.redo();
+    strictEqual(a.get('x'), 2);
+    strictEqual(b.get('count'), 1, 'change made by a listener is redone');
+    b.set('count', 10);
+    a.set('x', 3);
+    history.undo();
+    history.undo();
+    strictEqual(b.get('count'), 1);
+    strictEqual(a.get('x'), 2);
+});
+
+test('dirty tracking', function () {
+    var Doc = Toolbox.LiveObject.extend({
+        title: '',
+        body: '',
+        _cursor: 0,
+        summary: Toolbox.prop(['title'], function () {
+            return this.get('title').toUpperCase();
+        }, function (value) {
+            this.set('title', value.toLowerCase());
+        })
+    });
+    var doc = new Doc({ title: 'draft' });
+    var events = [];
+    doc.bind('isDirtyChanged', function (event) {
+        events.push(['isDirty', event.value]);
+    });
+    doc.bind('titleChanged', function (event) {
+        events.push(['title', event.value]);
+    });
+    strictEqual(doc.get('isDirty'), false);
+    doc.set('_cursor', 3);
+    strictEqual(doc.get('isDirty'), false, 'private properties are not tracked');
+    doc.set('summary', 'FINAL');
+    doc.set('body', 'text');
+    strictEqual(doc.get('isDirty'), true);
+    deepEqual(doc.changedProperties(), ['title', 'body'], 'computed properties are not listed');
+    doc.set('body', '');
+    deepEqual(doc.changedProperties(), ['title'], 'property set back to its committed value is not changed');
+    doc.revert();
+    strictEqual(doc.get('title'), 'draft');
+    strictEqual(doc.get('isDirty'), false);
+    deepEqual(events, [['title', 'final'], ['isDirty', true], ['title', 'draft'], ['isDirty', false]]);
+    doc.set('title', 'saved');
+    doc.commit();
+    strictEqual(doc.get('isDirty'), false);
+    deepEqual(doc.changedProperties(), []);
+    doc.set('title', 'edited');
+    doc.revert();
+    strictEqual(doc.get('title'), 'saved', 'revert goes back to the last commit');
+    var other = new Toolbox.LiveObject({ changedProperties: null, title: '' });
+    other.set('title', 'draft');
+    strictEqual(other.get('isDirty'), true, 'data property named changedProperties');
+    other.revert();
+    strictEqual(other.get('title'), '');
+});
+
+test('cached properties watching dirty state', function () {
+    var Doc = Toolbox.LiveObject.extend({
+        title: '',
+        canSave: Toolbox.prop(['isDirty'], function () {
+            return this.get('isDirty');
+        }, null, { cache: true })
+    });
+    var doc = new Doc();
+    strictEqual(doc.get('canSave'), false);
+    doc.set('title', 'draft');
+    strictEqual(doc.get('canSave'), true);
+    doc.commit();
+    strictEqual(doc.get('canSave'), false);
+    doc.set('title', 'edited');
+    doc.revert();
+    strictEqual(doc.get('canSave'), false);
+});
+
+test('reverting to a rejected value', function () {
+    var Doc = Toolbox.LiveObject.extend({
+        title: Toolbox.field('', { validate: Toolbox.validators.required(), rejectInvalid: true }),
+        body: ''
+    });
+    var doc = new Doc();
+    var invalid = [];
+    doc.bind('invalid', function (event) {
+        invalid.push(event.name);
+    });
+    doc.set('title', 'draft');
+    doc.set('body', 'text');
+    doc.revert();
+    strictEqual(doc.get('body'), '');
+    strictEqual(doc.get('title'), 'draft', 'rejected value is not set');
+    deepEqual(invalid, ['title']);
+    strictEqual(doc.get('isDirty'), true, 'property keeps its change');
+    deepEqual(doc.changedProperties(), ['title']);
+    doc.commit();
+    deepEqual(doc.changedProperties(), []);
+});
+
+test('snapshots and diffs', function () {
+    var Line = Toolbox.LiveObject.extend({
+        price: 0
+    });
+    var Order = Toolbox.LiveObject.extend({
+        name: '',
+        tags: [],
+        meta: {},
+        lines: Toolbox.field([], { type: Toolbox.types.arrayOf(Line) })
+    });
+    var order = new Order({ name: 'a/b', tags: ['x', 'y'], meta: { 'm~': 1, gone: true } });
+    order.set('lines', [{ price: 1 }, { price: 2 }]);
+    var before = Toolbox.snapshot(order);
+    deepEqual(before, { name: 'a/b', tags: ['x', 'y'], meta: { 'm~': 1, gone: true }, lines: [{ price: 1 }, { price: 2 }] });
+    ok(Object.isFrozen(before) && Object.isFrozen(before.lines[0]), 'snapshot is deeply frozen');
+    order.set('name', 'c');
+    order.set('tags', ['x']);
+    order.set('meta', { 'm~': 2, added: 'yes' });
+    order.get('lines')[1].set('price', 5);
+    order.set('lines', order.get('lines').concat([new Line({ price: 3 })]));
+    var after = Toolbox.snapshot(order);
+    deepEqual(Toolbox.diff(before, after), [
+        { op: 'replace', path: '/name', value: 'c' },
+        { op: 'remove', path: '/tags/1' },
+        { op: 'remove', path: '/meta/gone' },
+        { op: 'replace', path: '/meta/m~0', value: 2 },
+        { op: 'add', path: '/meta/added', value: 'yes' },
+        { op: 'replace', path: '/lines/1/price', value: 5 },
+        { op: 'add', path: '/lines/2', value: { price: 3 } }
+    ]);
+    deepEqual(Toolbox.diff(after, after), [], 'no differences');
+});
+
+test('diffs of arrays', function () {
+    var lines = [{ id: 1, price: 1 }, { id: 2, price: 2 }, { id: 3, price: 3 }, { id: 4, price: 4 }];
+    deepEqual(Toolbox.diff({ lines: lines }, { lines: lines.slice(1) }), [
+        { op: 'remove', path: '/lines/0' }
+    ], 'removing the first element');
+    deepEqual(Toolbox.diff(lines, [lines[0], { id: 5, price: 5 }].concat(lines.slice(1))), [
+        { op: 'add', path: '/1', value: { id: 5, price: 5 } }
+    ], 'inserting an element');
+    deepEqual(Toolbox.diff(lines, [lines[1], { id: 3, price: 9 }, lines[3]]), [
+        { op: 'remove', path: '/0' },
+        { op: 'replace', path: '/1/price', value: 9 }
+    ], 'changed elements are diffed');
+    deepEqual(Toolbox.diff(['a', 'b', 'c', 'd'], ['b', 'x', 'y', 'd', 'e']), [
+        { op: 'remove', path: '/0' },
+        { op: 'replace', path: '/1', value: 'x' },
+        { op: 'add', path: '/2', value: 'y' },
+        { op: 'add', path: '/4', value: 'e' }
+    ]);
+    var List = Toolbox.LiveObject.extend({
+        items: []
+    });
+    var list = new List({ items: ['a', 'b', 'c', 'd', 'e'] });
+    var target = ['c', 'x', 'a', 'e', 'b'];
+    Toolbox.applyPatch(list, Toolbox.diff(list.toJSON(), { items: target }));
+    deepEqual(list.get('items'), target, 'patch turns one array into the other');
+});
+
+test('applying patches', function () {
+    var Line = Toolbox.LiveObject.extend({
+        price: 0
+    });
+    var Order = Toolbox.LiveObject.extend({
+        name: '',
+        tags: [],
+        meta: {},
+        lines: Toolbox.field([], { type: Toolbox.types.arrayOf(Line) })
+    });
+    var source = Order.fromJSON({ name: 'old', tags: ['x', 'y'], meta: { a: 1 }, lines: [{ price: 1 }, { price: 2 }] });
+    var target = Order.fromJSON(source.toJSON());
+    var before = Toolbox.snapshot(source);
+    source.set('name', 'new');
+    source.set('tags', ['y', 'z', 'x']);
+    source.set('meta', { a: { b: 2 } });
+    source.get('lines')[0].set('price', 10);
+    var patch = Toolbox.diff(before, Toolbox.snapshot(source));
+    var events = [];
+    target.bind('all', function (eventName) {
+        events.push(eventName);
+    });
+    var line = target.get('lines')[0];
+    line.bind('priceChanged', function (event) {
+        events.push('price ' + event.value);
+    });
+    strictEqual(Toolbox.applyPatch(target, patch), target);
+    deepEqual(target.toJSON(), source.toJSON(), 'patch makes the objects equal');
+    strictEqual(target.get('lines')[0], line, 'nested objects are changed in place');
+    deepEqual(events, ['price 10', 'nameChanged', 'isDirtyChanged', 'tagsChanged', 'metaChanged'],
+        'properties are set, and events are batched');
+
+    Toolbox.applyPatch(target, [
+        { op: 'test', path: '/name', value: 'new' },
+        { op: 'add', path: '/tags/1', value: 'w' },
+        { op: 'add', path: '/tags/-', value: 'end' },
+        { op: 'move', from: '/tags/0', path: '/meta/first' },
+        { op: 'copy', from: '/meta/a', path: '/meta/c' },
+        { op: 'remove', path: '/meta/a/b' },
+        { op: 'add', path: '/lines/-', value: { price: 7 } },
+        { op: 'replace', path: '/lines/1/price', value: 8 }
+    ]);
+    deepEqual(target.get('tags'), ['w', 'z', 'x', 'end']);
+    deepEqual(target.get('meta'), { a: {}, first: 'y', c: { b: 2 } });
+    ok(target.get('lines')[2] instanceof Line, 'typed properties convert added values');
+    strictEqual(target.get('lines')[1].get('price'), 8);
+    raises(function () {
+        Toolbox.applyPatch(target, [{ op: 'test', path: '/name', value: 'other' }]);
+    }, 'failed test throws');
+    raises(function () {
+        Toolbox.applyPatch(target, [{ op: 'replace', path: '/tags/9', value: 'x' }]);
+    }, 'invalid index throws');
+    raises(function () {
+        Toolbox.applyPatch(target, [{ op: 'replace', path: '/missing/key', value: 'x' }]);
+    }, 'invalid path throws');
+});
+
+test('LiveArray changes and events', function () {
+    var list = new Toolbox.LiveArray(['a', 'b']);
+    var events = [];
+    _.each(['add', 'remove', 'move', 'reset'], function (eventName) {
+        list.bind(eventName, function (event) {
+            strictEqual(event.source, list);
+            events.push([eventName, event.item || event.items, event.index !== undefined ? event.index : [event.from, event.to]]);
+        });
+    });
+    list.bind('lengthChanged', function (event) {
+        events.push(['length', event.value, event.previousValue]);
+    });
+    strictEqual(list.get('length'), 2);
+    strictEqual(list.push('c', 'd'), 4);
+    deepEqual(events, [['add', 'c', 2], ['add', 'd', 3], ['length', 4, 2]]);
+    events = [];
+    deepEqual(list.splice(1, 2, 'x'), ['b', 'c']);
+    deepEqual(list.toArray(), ['a', 'x', 'd']);
+    deepEqual(events, [['remove', 'c', 2], ['remove', 'b', 1], ['add', 'x', 1], ['length', 3, 4]]);
+    events = [];
+    strictEqual(list.pop(), 'd');
+    strictEqual(list.shift(), 'a');
+    strictEqual(list.unshift('z'), 2);
+    list.insert(1, 'y');
+    ok(list.remove('z'));
+    ok(!list.remove('nothing'));
+    strictEqual(list.removeAt(0), 'y');
+    deepEqual(list.toArray(), ['x']);
+    strictEqual(list.length, 1, 'length is also a plain property');
+    events = [];
+    list.reset(['p', 'q', 'r']);
+    list.move(0, 2);
+    deepEqual(list.toArray(), ['q', 'r', 'p']);
+    strictEqual(list.at(2), 'p');
+    strictEqual(list.indexOf('r'), 1);
+    deepEqual(events, [['reset', ['p', 'q', 'r'], [undefined, undefined]], ['length', 3, 1], ['move', 'p', [0, 2]]]);
+    raises(function () {
+        list.move(0, 3);
+    });
+    deepEqual(JSON.parse(JSON.stringify(list)), ['q', 'r', 'p']);
+});
+
+test('LiveArray as a dependency', function () {
+    var Line = Toolbox.LiveObject.extend({
+        price: 0
+    });
+    var Invoice = Toolbox.LiveObject.extend({
+        lines: null,
+        count: Toolbox.prop(['lines.length'], function () {
+            return this.get('lines.length');
+        }),
+        total: Toolbox.prop(['lines.*.price'], function () {
+            return _.reduce(this.get('lines').toArray(), function (sum, line) {
+                return sum + line.get('price');
+            }, 0);
+        }),
+        maximum: Toolbox.prop(function () {
+            return _.max(_.map(this.get('lines').toArray(), function (line) {
+                return line.get('price');
+            }).concat([0]));
+        })
+    });
+    var first = new Line({ price: 2 });
+    var invoice = new Invoice({ lines: new Toolbox.LiveArray([first]) });
+    var events = [];
+    _.each(['count', 'total', 'maximum'], function (name) {
+        invoice.bind(name + 'Changed', function (event) {
+            events.push([name, event.value]);
+        });
+    });
+    strictEqual(invoice.get('maximum'), 2);
+    var second = new Line({ price: 5 });
+    invoice.get('lines').push(second);
+    deepEqual(events, [['count', 2], ['total', 7], ['maximum', 5]]);
+    events = [];
+    second.set('price', 6);
+    deepEqual(events, [['total', 8], ['maximum', 6]], 'new elements are watched');
+    events = [];
+    invoice.get('lines').splice(1, 1, new Line({ price: 1 }));
+    deepEqual(events, [['total', 3], ['maximum', 2]], 'replacing an element updates aggregates');
+    events = [];
+    second.set('price', 100);
+    deepEqual(events, [], 'removed elements are no longer watched');
+    deepEqual(invoice.toJSON().lines, [{ price: 2 }, { price: 1 }]);
+    Toolbox.applyPatch(invoice, [
+        { op: 'move', from: '/lines/1', path: '/lines/0' },
+        { op: 'replace', path: '/lines/1/price', value: 4 },
+        { op: 'remove', path: '/lines/0' }
+    ]);
+    strictEqual(invoice.get('lines').at(0), first, 'patches change LiveArray elements');
+    strictEqual(invoice.get('count'), 1);
+    strictEqual(invoice.get('total'), 4);
+});
+
+test('LiveArray subclass with cached properties', function () {
+    var Stack = Toolbox.LiveArray.extend({
+        isEmpty: Toolbox.prop(['length'], function () {
+            return this.get('length') === 0;
+        }, null, { cache: true }),
+        top: Toolbox.prop(['items'], function () {
+            return _.last(this.get('items'));
+        }, null, { cache: true })
+    });
+    var stack = new Stack();
+    strictEqual(stack.get('isEmpty'), true);
+    strictEqual(stack.get('top'), undefined);
+    stack.push('a', 'b');
+    strictEqual(stack.get('isEmpty'), false);
+    strictEqual(stack.get('top'), 'b');
+    stack.pop();
+    strictEqual(stack.get('top'), 'a');
+    stack.reset([]);
+    strictEqual(stack.get('isEmpty'), true);
+});
+
+test('LiveArray filtered views', function () {
+    var Row = Toolbox.LiveObject.extend({
+        name: '',
+        score: 0
+    });
+    var a = new Row({ name: 'a', score: 5 });
+    var b = new Row({ name: 'b', score: 1 });
+    var c = new Row({ name: 'c', score: 8 });
+    var rows = new Toolbox.LiveArray([a, b, c]);
+    var high = rows.where(function (row) {
+        return row.get('score') > 3;
+    }, ['score']);
+    var events = [];
+    _.each(['add', 'remove', 'move', 'reset'], function (eventName) {
+        high.bind(eventName, function (event) {
+            events.push([eventName, event.item && event.item.get('name'), event.index !== undefined ? event.index : [event.from, event.to]]);
+        });
+    });
+    deepEqual(_.pluck(high.toArray(), 'name'), ['a', 'c']);
+    b.set('score', 9);
+    deepEqual(_.pluck(high.toArray(), 'name'), ['a', 'b', 'c']);
+    a.set('score', 0);
+    var d = new Row({ name: 'd', score: 4 });
+    rows.insert(0, d);
+    rows.push(new Row({ name: 'e', score: 2 }));
+    rows.move(0, 3);
+    rows.remove(c);
+    deepEqual(_.pluck(high.toArray(), 'name'), ['b', 'd']);
+    deepEqual(events, [
+        ['add', 'b', 1],
+        ['remove', 'a', 0],
+        ['add', 'd', 0],
+        ['move', 'd', [0, 2]],
+        ['remove', 'c', 1]
+    ], 'fine-grained events');
+    high.dispose();
+    a.set('score', 10);
+    rows.push(new Row({ score: 7 }));
+    strictEqual(high.length, 2, 'disposed view no longer updates');
+});
+
+test('LiveArray sorted and mapped views', function () {
+    var Row = Toolbox.LiveObject.extend({
+        name: '',
+        score: 0
+    });
+    var a = new Row({ name: 'a', score: 5 });
+    var b = new Row({ name: 'b', score: 1 });
+    var rows = new Toolbox.LiveArray([a, b]);
+    var sorted = rows.sortBy('score');
+    var names = sorted.map(function (row) {
+        return row.get('name').toUpperCase();
+    }, ['name']);
+    var moves = [];
+    sorted.bind('move', function (event) {
+        moves.push([event.from, event.to]);
+    });
+    var lengths = [];
+    names.bind('lengthChanged', function (event) {
+        lengths.push(event.value);
+    });
+    deepEqual(names.toArray(), ['B', 'A']);
+    var c = new Row({ name: 'c', score: 3 });
+    rows.push(c);
+    deepEqual(names.toArray(), ['B', 'C', 'A']);
+    b.set('score', 4);
+    deepEqual(names.toArray(), ['C', 'B', 'A']);
+    deepEqual(moves, [[0, 1]], 'a changed element is moved');
+    c.set('name', 'x');
+    deepEqual(names.toArray(), ['X', 'B', 'A']);
+    rows.push(new Row({ name: 'd', score: 4 }));
+    deepEqual(names.toArray(), ['X', 'B', 'D', 'A'], 'equal values keep their order');
+    rows.reset([a]);
+    deepEqual(names.toArray(), ['A']);
+    deepEqual(lengths, [3, 4, 1]);
+    var byLength = rows.sortBy(function (row) {
+        return -row.get('name').length;
+    }, ['name']);
+    rows.push(new Row({ name: 'long' }));
+    deepEqual(_.map(byLength.toArray(), function (row) { return row.get('name'); }), ['long', 'a']);
+});
+
+test('LiveArray grouped views', function () {
+    var Task = Toolbox.LiveObject.extend({
+        title: '',
+        state: 'todo'
+    });
+    var t1 = new Task({ title: '1' });
+    var t2 = new Task({ title: '2', state: 'done' });
+    var t3 = new Task({ title: '3' });
+    var tasks = new Toolbox.LiveArray([t1, t2, t3]);
+    var groups = tasks.groupBy('state');
+    function titles(state) {
+        var group = groups.group(state);
+        return group && _.map(group.toArray(), function (task) { return task.get('title'); });
+    }
+    deepEqual(_.pluck(groups.toArray(), 'key'), ['todo', 'done']);
+    deepEqual(titles('todo'), ['1', '3']);
+    var events = [];
+    groups.group('todo').bind('add', function (event) {
+        events.push(['add', event.item.get('title'), event.index]);
+    });
+    t2.set('state', 'todo');
+    deepEqual(titles('todo'), ['1', '2', '3'], 'element keeps the source order in its group');
+    strictEqual(groups.group('done'), null, 'empty group is removed');
+    deepEqual(events, [['add', '2', 1]]);
+    t3.set('state', 'doing');
+    tasks.move(1, 0);
+    deepEqual(titles('todo'), ['2', '1']);
+    deepEqual(_.pluck(groups.toArray(), 'key'), ['todo', 'doing']);
+    tasks.remove(t1);
+    tasks.unshift(new Task({ title: '4', state: 'done' }));
+    deepEqual(titles('todo'), ['2']);
+    deepEqual(titles('done'), ['4']);
+    deepEqual(groups.toJSON()[1], { key: 'doing', items: [{ title: '3', state: 'doing' }] });
+});
+
+test('LiveArray views of views', function () {
+    var Row = Toolbox.LiveObject.extend({
+        name: '',
+        v: 0,
+        state: 'todo'
+    });
+    function names(list) {
+        return _.map(list.toArray(), function (row) { return row.get('name'); });
+    }
+    var a = new Row({ name: 'a', v: 7 });
+    var b = new Row({ name: 'b', v: 5 });
+    var c = new Row({ name: 'c', v: 1, state: 'done' });
+    var src = new Toolbox.LiveArray([a, b, c]);
+    var high = src.where(function (row) {
+        return row.get('v') > 4;
+    }, ['v']);
+    var sorted = high.sortBy('v');
+    var labels = high.map(function (row) {
+        return row.get('name').toUpperCase();
+    }, ['name']);
+    var todo = src.groupBy('state').group('todo').where(function (row) {
+        return row.get('v') > 4;
+    }, ['v']);
+    deepEqual(names(sorted), ['b', 'a']);
+    src.at(0).set('v', 0);
+    deepEqual(names(high), ['b']);
+    deepEqual(names(sorted), ['b'], 'element leaving the upstream filter is removed');
+    deepEqual(labels.toArray(), ['B']);
+    deepEqual(names(todo), ['b']);
+    c.set('v', 9);
+    c.set('state', 'todo');
+    deepEqual(names(sorted), ['b', 'c']);
+    deepEqual(names(todo), ['b', 'c']);
+    var late;
+    high.bind('remove', function () {
+        late.dispose();
+    });
+    late = high.sortBy('v');
+    b.set('v', 2);
+    deepEqual(names(high), ['c']);
+    deepEqual(names(sorted), ['c']);
+    deepEqual(labels.toArray(), ['C']);
+    deepEqual(names(late), ['b', 'c'], 'view disposed by an earlier listener ignores the change');
+});
+
+test('circular dependencies', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        a: Toolbox.prop(['c'], function () {}),
+        b: Toolbox.prop(['a'], function () {}),
+        c: Toolbox.prop(['b'], function () {})
+    });
+    var message;
+    try {
+        new Test1();
+    } catch (e) {
+        message = e.message;
+    }
+    ok(/circular dependency/.test(message), message);
+    raises(function () {
+        new Toolbox.LiveObject({
+            a: Toolbox.prop(['a'], function () {})
+        });
+    }, 'property that depends on itself');
+});
+
+test('binding', function () {
+    var obj1 = new Toolbox.LiveObject({
+        'one': 5
+    });
+    var obj2 = new Toolbox.LiveObject({
+        'two': 10
+    });
+    Toolbox.bindProperties(obj1, 'one', obj2, 'two');
+    strictEqual(obj1.get('one'), 10, 'initial binding propagates value to first object');
+    strictEqual(obj2.get('two'), 10, 'initial binding does not propagate value to second object');
+    obj1.set('one', 100);
+    strictEqual(obj2.get('two'), 100, 'change is propagated to second object');
+    obj2.set('two', 200);
+    strictEqual(obj1.get('one'), 200, 'change is propagated to first object');
+});
+
+test('binding modes', function () {
+    var view = new Toolbox.LiveObject({ text: 'a' });
+    var model = new Toolbox.LiveObject({ value: 'b' });
+    var binding = Toolbox.bindProperties(view, 'text', model, 'value', { mode: 'oneWay' });
+    strictEqual(view.get('text'), 'b');
+    view.set('text', 'c');
+    strictEqual(model.get('value'), 'b', 'one-way binding does not propagate back');
+    model.set('value', 'd');
+    strictEqual(view.get('text'), 'd');
+    binding.dispose();
+    model.set('value', 'e');
+    strictEqual(view.get('text'), 'd', 'disposed binding no longer propagates');
+
+    view = new Toolbox.LiveObject({ text: 'a' });
+    model = new Toolbox.LiveObject({ value: 'b' });
+    Toolbox.bindProperties(view, 'text', model, 'value', { mode: 'oneWayToSource' });
+    strictEqual(model.get('value'), 'a', 'initial value goes to the second object');
+    model.set('value', 'c');
+    strictEqual(view.get('text'), 'a');
+    view.set('text', 'd');
+    strictEqual(model.get('value'), 'd');
+
+    view = new Toolbox.LiveObject({ text: 'a' });
+    model = new Toolbox.LiveObject({ value: 'b' });
+    Toolbox.bindProperties(view, 'text', model, 'value', { mode: 'oneTime' });
+    strictEqual(view.get('text'), 'b');
+    model.set('value', 'c');
+    view.set('text', 'd');
+    strictEqual(view.get('text'), 'd');
+    strictEqual(model.get('value'), 'c', 'one-time binding only copies the initial value');
+    raises(function () {
+        Toolbox.bindProperties(view, 'text', model, 'value', { mode: 'sideways' });
+    }, 'unknown mode');
+});
+
+test('binding converters', function () {
+    var field = new Toolbox.LiveObject({ text: '' });
+    var product = new Toolbox.LiveObject({ cents: 1234 });
+    var binding = Toolbox.bindProperties(field, 'text', product, 'cents', {
+        convert: function (cents) {
+            return (cents / 100).toFixed(2);
+        },
+        convertBack: function (text) {
+            if (!/^\d+(\.\d\d?)?$/.test(text)) {
+                throw new Error('not an amount');
+            }
+            return Math.round(parseFloat(text) * 100);
+        }
+    });
+    var errors = [];
+    binding.bind('error', function (event) {
+        errors.push([event.error.message, event.value, event.source === field, event.property]);
+    });
+    strictEqual(field.get('text'), '12.34');
+    field.set('text', '5.5');
+    strictEqual(product.get('cents'), 550);
+    strictEqual(field.get('text'), '5.5', 'text being edited is not replaced by the converted value');
+    field.set('text', 'abc');
+    strictEqual(product.get('cents'), 550, 'rejected value leaves the target untouched');
+    deepEqual(errors, [['not an amount', 'abc', true, 'text']]);
+    product.set('cents', 99);
+    strictEqual(field.get('text'), '0.99');
+});
+
+test('null property value', function () {
+    var obj1 = new Toolbox.LiveObject({
+        someProp: null
+    });
+});
+
+test('dependency graph is shared by instances', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        one: 1,
+        calc1: Toolbox.prop(['one'], function () {
+            return this.get('one') + 1;
+        })
+    });
+    var t1 = new Test1();
+    var t2 = new Test1({ one: 2 });
+    strictEqual(t1._watchers, t2._watchers);
+    deepEqual(t1._watchers, { one: ['calc1'] });
+});
+
+test('computed properties passed to constructor', function () {
+    var Test1 = Toolbox.LiveObject.extend({
+        one: 1,
+        two: 2,
+        calc1: Toolbox.prop(['one'], function () {
+            return this.get('one') + 1;
+        })
+    });
+    var t1 = new Test1({
+        calc2: Toolbox.prop(['two'], function () {
+            return this.get('two') * 2;
+        })
+    });
+    var t2 = new Test1({
+        calc1: 'plain'
+    });
+    var t3 = new Test1();
+    deepEqual(t1._watchers, { one: ['calc1'], two: ['calc2'] });
+    deepEqual(t2._watchers, { one: [] }, 'computed property replaced by a plain value');
+    deepEqual(t3._watchers, { one: ['calc1'] }, 'class graph is not modified');
+    var calc2Changed = false;
+    t1.bind('calc2Changed', function () {
+        calc2Changed = true;
+    });
+    t1.set('two', 3);
+    ok(calc2Changed);
+    strictEqual(t1.get('calc2'), 6);
+});
+
+test('SmartProperties mixed into a plain object', function () {
+    var obj = _.extend({
+        one: 1,
+        calc1: Toolbox.prop(['one'], function () {
+            return this.get('one') + 1;
+        })
+    }, Toolbox.SmartProperties);
+    obj.initSmartProperties();
+    deepEqual(obj._watchers, { one: ['calc1'] });
+    strictEqual(Object.__smartProperties__, undefined, 'nothing is cached on Object');
+});
+
+test('construction benchmark', function () {
+    function createClass(count) {
+        var props = { source: 0 };
+        for (var i = 0; i < count; i++) {
+            props['computed' + i] = Toolbox.prop(['source'], function () {
+                return this.get('source');
+            });
+        }
+        return Toolbox.LiveObject.extend(props);
+    }
+    function timeConstruction(klass) {
+        var start = new Date().getTime();
+        for (var i = 0; i < 3000; i++) {
+            new klass({ source: i });
+        }
+        return new Date().getTime() - start;
+    }
+    var Small = createClass(2);
+    var Large = createClass(500);
+    timeConstruction(Small);
+    timeConstruction(Large);
+    var small = timeConstruction(Small);
+    var large = timeConstruction(Large);
+    ok(large < small * 5 + 50, 'constructing 3000 objects with 500 computed properties took ' + large +
+        'ms, and with 2 computed properties took ' + small + 'ms');
+});
@@ -7,23 +7,725 @@
     // `getter` is a function that takes no arguments and returns the property value.
     // `setter` is a function that takes a new property value and does whatever is
     // appropriate to store the new value.
+    // `options` is an object with the same options as for `Toolbox.field()`, and:
+    // - `cache`: if true, the value returned by `getter` is kept until one of the
+    //   properties in `watches` changes (through `set()`), or the property itself
+    //   is set.
     // `watched` is required, but can be an empty array
     // `getter` is required
     // `setter` is optional
-    Toolbox.prop = function (watches, getter, setter) {
+    // `options` is optional
+    //
+    // If `watches` is left out (so that `getter` is the first argument), the
+    // dependencies are tracked automatically instead: every property that
+    // `getter` reads with `this.get()` while it runs is watched, and the
+    // dependencies are updated each time it runs. The getter first runs when the
+    // object is created; if it fails then, the properties it read before failing
+    // are watched.
+    // Example:
+    //     displayName: Toolbox.prop(function () {
+    //         return this.get('useNickname') ? this.get('nickname') : this.get('name');
+    //     })
+    Toolbox.prop = function (watches, getter, setter, options) {
+        if (_.isFunction(watches)) {
+            return _.extend(Toolbox.prop([], watches, getter, setter), { autoWatch: true });
+        }
         return {
             watches: watches,
             getter: getter,
             setter: setter,
+            options: options || {},
             isComputedProperty: true
         };
     }
 
+    // Declare a plain property with a default value, and options for it.
+    // `options` can contain:
+    // - `equals`: how to tell whether the value of the property has changed.
+    //   Either `'deep'`, to compare values deeply, or a function that takes two
+    //   values and returns true if they are equal. By default, values are
+    //   compared with `===`.
+    // - `type`: the type of the values of the property. Values passed to `set()`
+    //   are converted to it where possible (see `Toolbox.types`); a value that
+    //   cannot be converted is not set, and the object triggers an `invalid`
+    //   event instead. `null` and `undefined` are always accepted.
+    // - `validate`: a validator, or a list of validators, for the values of the
+    //   property (see `Toolbox.validators`). When the property is set, its
+    //   errors are recorded, unless `rejectInvalid` is true.
+    // - `rejectInvalid`: if true, a value that fails validation is not set. The
+    //   object triggers an `invalid` event instead. Asynchronous validators
+    //   cannot reject a value: their errors are always recorded.
+    Toolbox.field = function (value, options) {
+        return {
+            value: value,
+            options: options || {},
+            isField: true
+        };
+    };
+
+    // Types for the `type` option of `Toolbox.field()` and `Toolbox.prop()`.
+    // A type is one of:
+    // - `'string'`: numbers and booleans are converted to strings.
+    // - `'number'`: numeric strings (such as `'42'`) are converted to numbers.
+    // - `'boolean'`: the strings `'true'` and `'false'` are converted to booleans.
+    // - `'date'`: strings (such as ISO 8601 dates) and timestamps are converted to
+    //   dates.
+    // - a class: plain objects are converted to instances, with the `fromJSON()`
+    //   class method if there is one, or else by passing them to the
+    //   constructor.
+    // - one of the types created by the functions below.
+    // Example:
+    //     status: Toolbox.field('open', { type: Toolbox.types.oneOf(['open', 'closed']) }),
+    //     tags: Toolbox.field([], { type: Toolbox.types.arrayOf('string') })
+    Toolbox.types = {
+
+        // Only the values in `values` are accepted.
+        oneOf: function (values) {
+            return { kind: 'oneOf', values: values };
+        },
+
+        // Arrays whose elements are of type `type`. Each element is converted.
+        arrayOf: function (type) {
+            return { kind: 'arrayOf', type: type };
+        }
+    };
+
+    // Return a description of `type`, for error messages.
+    function typeName(type) {
+        if (_.isString(type)) {
+            return type;
+        }
+        if (_.isFunction(type)) {
+            return type.__name__ || 'object';
+        }
+        if (type.kind === 'oneOf') {
+            return 'one of ' + type.values.join(', ');
+        }
+        return 'array of ' + typeName(type.type);
+    }
+
+    // Returned by `coerce()` when a value cannot be converted.
+    var unconvertible = {};
+
+    // Return `value` converted to `type`, or `unconvertible`.
+    function coerce(value, type) {
+        if (isBlank(value)) {
+            return value;
+        }
+        switch (type) {
+        case 'string':
+            return _.isString(value) ? value :
+                (_.isNumber(value) && !_.isNaN(value)) || _.isBoolean(value) ? String(value) : unconvertible;
+        case 'number':
+            var number = _.isString(value) && /\S/.test(value) ? Number(value) : value;
+            return _.isNumber(number) && !_.isNaN(number) ? number : unconvertible;
+        case 'boolean':
+            if (value === 'true' || value === 'false') {
+                return value === 'true';
+            }
+            return _.isBoolean(value) ? value : unconvertible;
+        case 'date':
+            var date = _.isString(value) || _.isNumber(value) ? new Date(value) : value;
+            return _.isDate(date) && !_.isNaN(date.getTime()) ? date : unconvertible;
+        }
+        if (_.isFunction(type)) {
+            if (value instanceof type) {
+                return value;
+            }
+            if (!isPlainObject(value)) {
+                return unconvertible;
+            }
+            return _.isFunction(type.fromJSON) ? type.fromJSON(value) : new type(value);
+        }
+        if (type.kind === 'oneOf') {
+            return _.include(type.values, value) ? value : unconvertible;
+        }
+        if (!_.isArray(value)) {
+            return unconvertible;
+        }
+        var elements = _.map(value, function (element) {
+            return coerce(element, type.type);
+        });
+        return _.include(elements, unconvertible) ? unconvertible : elements;
+    }
+
+    // Validators for the `validate` option of `Toolbox.field()` and
+    // `Toolbox.prop()`. A validator is a function that takes a value and the name
+    // of the property, and returns an error message if the value is invalid, or
+    // nothing if it is valid. It is called in the context of the object. It can
+    // also return a promise (any object with a `then()` function) for an error
+    // message or nothing; a rejected promise counts as an error.
+    // The functions below create the built-in validators. Each takes an optional
+    // `message` to use instead of the default error message. Except for
+    // `required`, they accept `null` and `undefined`.
+    // Example:
+    //     age: Toolbox.field(null, {
+    //         validate: [Toolbox.validators.required(), Toolbox.validators.range(0, 150)]
+    //     })
+    Toolbox.validators = {
+
+        // The value must not be `null`, `undefined`, an empty string or an empty
+        // array.
+        required: function (message) {
+            return function (value) {
+                if (value === null || value === undefined || value === '' || (_.isArray(value) && !value.length)) {
+                    return message || 'is required';
+                }
+            };
+        },
+
+        // The value must be of type `type`: one of `'string'`, `'number'`,
+        // `'boolean'`, `'date'`, `'array'` and `'function'`, or a class that the
+        // value is an instance of.
+        type: function (type, message) {
+            return function (value) {
+                if (!isBlank(value) && !hasType(value, type)) {
+                    return message || 'must be of type ' + typeName(type);
+                }
+            };
+        },
+
+        // The value must be a number between `min` and `max`, inclusive. Either
+        // bound can be `null`.
+        range: function (min, max, message) {
+            return function (value) {
+                if (!isBlank(value) && !(_.isNumber(value) && !_.isNaN(value) &&
+                        (min === null || value >= min) && (max === null || value <= max))) {
+                    return message || (min === null ? 'must be at most ' + max :
+                        max === null ? 'must be at least ' + min : 'must be between ' + min + ' and ' + max);
+                }
+            };
+        },
+
+        // The value must be a string that matches the regular expression
+        // `pattern`.
+        pattern: function (pattern, message) {
+            return function (value) {
+                if (!isBlank(value) && !(_.isString(value) && pattern.test(value))) {
+                    return message || 'is invalid';
+                }
+            };
+        }
+    };
+
+    function isPlainObject(value) {
+        return !!value && Object.getPrototypeOf(value) === Object.prototype;
+    }
+
+    // Return `value` as plain data: objects with a `toJSON()` function (such as
+    // objects with smart properties, and dates) are replaced with its result,
+    // and functions are left out.
+    function toData(value) {
+        if (value && _.isFunction(value.toJSON)) {
+            return value.toJSON();
+        }
+        if (_.isArray(value)) {
+            return _.map(value, toData);
+        }
+        if (isPlainObject(value)) {
+            var data = {};
+            _.each(_.keys(value), function (key) {
+                if (!_.isFunction(value[key])) {
+                    data[key] = toData(value[key]);
+                }
+            });
+            return data;
+        }
+        return value;
+    }
+
+    function isBlank(value) {
+        return value === null || value === undefined;
+    }
+
+    // Return true if `value` is of type `type` (see `Toolbox.validators.type`).
+    function hasType(value, type) {
+        switch (type) {
+        case 'string': return _.isString(value);
+        case 'number': return _.isNumber(value) && !_.isNaN(value);
+        case 'boolean': return _.isBoolean(value);
+        case 'date': return _.isDate(value) && !_.isNaN(value.getTime());
+        case 'array': return _.isArray(value);
+        case 'function': return _.isFunction(value);
+        default: return value instanceof type;
+        }
+    }
+
+    // Return the declaration of the property `name` of `obj`, or nothing if it
+    // is not declared.
+    function declarationOf(obj, name) {
+        var declarations = obj._declarations;
+        return declarations.hasOwnProperty(name) ? declarations[name] : null;
+    }
+
+    // Return the list of validators of the property declared by `declaration`.
+    function validatorsOf(declaration) {
+        var validate = declaration && declaration.options.validate;
+        if (!validate) {
+            return [];
+        }
+        return _.isArray(validate) ? validate : [validate];
+    }
+
+    // The getters of automatically tracked computed properties that are running,
+    // innermost last. Each frame records the names of the properties read from
+    // its `source` object.
+    var trackingFrames = [];
+
+    function isComputed(value) {
+        return !!(value && value.isComputedProperty);
+    }
+
+    function isField(value) {
+        return !!(value && value.isField);
+    }
+
+    // Return the function that tells whether two values of a property declared
+    // by `declaration` are equal.
+    function equalityOf(declaration) {
+        var equals = declaration && declaration.options.equals;
+        if (equals === 'deep') {
+            return _.isEqual;
+        }
+        return equals || strictEquals;
+    }
+
+    // Like `===`, except that `NaN` is equal to itself.
+    function strictEquals(a, b) {
+        return a === b || (a !== a && b !== b);
+    }
+
+    // Return the names of the properties that directly depend on `name`.
+    function watchersOf(watchers, name) {
+        return watchers.hasOwnProperty(name) ? watchers[name] : [];
+    }
+
+    // Add the dependencies of the computed property `name` to `watchers`. For a
+    // key path, that is the first property on the path.
+    function addWatches(watchers, name, computed) {
+        _.each(computed.watches, function (path) {
+            var watch = path.split('.')[0];
+            if (!watchers.hasOwnProperty(watch)) {
+                watchers[watch] = [];
+            }
+            watchers[watch].push(name);
+        });
+    }
+
+    // Return the names of computed properties in `watchers` that depend on each
+    // other in a cycle, starting and ending with the same name, or `null` if
+    // there are none.
+    function findCycle(watchers) {
+        var visiting = {};
+        var done = {};
+        var path = [];
+        var cycle = null;
+        function visit(name) {
+            if (cycle || done.hasOwnProperty(name)) return;
+            if (visiting.hasOwnProperty(name)) {
+                cycle = path.slice(_.indexOf(path, name)).concat([name]);
+                return;
+            }
+            visiting[name] = true;
+            path.push(name);
+            _.each(watchersOf(watchers, name), visit);
+            path.pop();
+            done[name] = true;
+        }
+        _.each(_.keys(watchers), visit);
+        return cycle;
+    }
+
+    function circularDependencyError(cycle) {
+        return new Error('Toolbox: circular dependency between properties: ' + cycle.join(' -> '));
+    }
+
+    // Throw an error if the computed properties in `watchers` depend on each
+    // other in a cycle.
+    function checkForCycles(watchers) {
+        var cycle = findCycle(watchers);
+        if (cycle) {
+            throw circularDependencyError(cycle);
+        }
+    }
+
+    // Return `names`, followed by all the properties that depend on them
+    // (directly or not). Each property is listed once, after every listed
+    // property that it depends on. Otherwise, the order in which the properties
+    // were declared is kept where possible.
+    function propagationOrder(watchers, names) {
+        var visited = {};
+        var order = [];
+        function visit(name) {
+            if (visited.hasOwnProperty(name)) return;
+            visited[name] = true;
+            _.each(watchersOf(watchers, name).slice().reverse(), visit);
+            order.push(name);
+        }
+        _.each(names.slice().reverse(), visit);
+        return order.reverse();
+    }
+
+    // Return the dependency graph of the properties that `proto` declares,
+    // including those it inherits. It has these parts:
+    // - `watchers` maps a property name to the list of names of the computed
+    //   properties that depend on it.
+    // - `declarations` maps the name of each property declared with
+    //   `Toolbox.prop()` or `Toolbox.field()` to its declaration.
+    // - `paths` lists the key paths that computed properties watch, as objects
+    //   with the `property` name and the `path` as a list of property names.
+    // - `autoWatched` lists the names of the computed properties whose
+    //   dependencies are tracked automatically.
+    // The graph is only built once per class, and cached on the class. Properties
+    // must therefore be declared before the first instance is created.
+    function classGraph(proto) {
+        var klass = proto.constructor;
+        var cacheable = proto !== Object.prototype && _.isFunction(klass) && klass.prototype === proto;
+        if (cacheable && klass.__smartProperties__ && klass.__smartProperties__.proto === proto) {
+            return klass.__smartProperties__.graph;
+        }
+
+        // NOTE: This loop should include both properties of `proto` and properties
+        // inherited from its prototype chain, so that we handle all computed
+        // properties.
+        var graph = { watchers: {}, declarations: {}, paths: [], autoWatched: [] };
+        for (var key in proto) {
+            declare(graph, key, proto[key]);
+        }
+        checkForCycles(graph.watchers);
+        if (cacheable) {
+            klass.__smartProperties__ = { proto: proto, graph: graph };
+        }
+        return graph;
+    }
+
+    // Add the property `name` to `graph`, if `value` is a declaration.
+    function declare(graph, name, value) {
+        if (isComputed(value) || isField(value)) {
+            graph.declarations[name] = value;
+        }
+        if (isComputed(value)) {
+            if (value.autoWatch) {
+                graph.autoWatched.push(name);
+            }
+            addWatches(graph.watchers, name, value);
+            _.each(value.watches, function (watch) {
+                if (watch.indexOf('.') !== -1) {
+                    graph.paths.push({ property: name, path: watch.split('.') });
+                }
+            });
+        }
+    }
+
+    // Return the dependency graph of the properties of `obj`. This is the graph
+    // of its class, unless `obj` has its own declared properties, or its own
+    // values for computed properties of its class. In that case, a copy of the
+    // class graph is changed to match.
+    function instanceGraph(obj) {
+        var proto = Object.getPrototypeOf(obj);
+        var graph = classGraph(proto);
+        var copied = false;
+        _.each(_.keys(obj), function (key) {
+            var value = obj[key];
+            if (value === proto[key] || !(isComputed(value) || isField(value) || isComputed(proto[key]))) {
+                return;
+            }
+            if (!copied) {
+                graph = {
+                    watchers: copyWatchers(graph.watchers),
+                    declarations: _.extend({}, graph.declarations),
+                    paths: graph.paths.slice(),
+                    autoWatched: graph.autoWatched.slice()
+                };
+                copied = true;
+            }
+            if (isComputed(proto[key])) {
+                removeWatcher(graph.watchers, key);
+                delete graph.declarations[key];
+                graph.paths = _.reject(graph.paths, function (watch) {
+                    return watch.property === key;
+                });
+                graph.autoWatched = _.without(graph.autoWatched, key);
+            }
+            declare(graph, key, value);
+        });
+        if (copied) {
+            checkForCycles(graph.watchers);
+        }
+        return graph;
+    }
+
+    function copyWatchers(watchers) {
+        var copy = {};
+        for (var key in watchers) {
+            copy[key] = watchers[key].slice();
+        }
+        return copy;
+    }
+
+    // Return the watch of the property `property` of `object` in `watches`.
+    function findWatch(watches, object, property) {
+        return _.detect(watches, function (watch) {
+            return watch.object === object && watch.property === property;
+        });
+    }
+
+    // Record, in the innermost tracking frame, that the property `name` of `obj`
+    // has been read.
+    function recordRead(obj, name) {
+        var frame = trackingFrames[trackingFrames.length - 1];
+        if (frame && frame.source === obj && !_.include(frame.names, name)) {
+            frame.names.push(name);
+        } else if (frame && frame.source && frame.source !== obj && !findWatch(frame.foreign, obj, name)) {
+            frame.foreign.push({ object: obj, property: name });
+        }
+    }
+
+    // Return the value of the property `name` of `obj`, as `{ value: value }`, or
+    // `null` if its getter fails (for example because of a circular dependency).
+    function tryGet(obj, name) {
+        try {
+            return { value: obj.get(name) };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Return true if `obj` has smart properties.
+    function isSmart(obj) {
+        return !!(obj && obj._watchers && _.isFunction(obj.get));
+    }
+
+    // Return the value of the property `name` of `obj`, using `get()` if it has
+    // smart properties.
+    function getProperty(obj, name) {
+        if (obj === null || obj === undefined) {
+            return undefined;
+        }
+        return isSmart(obj) ? obj.get(name) : obj[name];
+    }
+
+    function isLiveArray(value) {
+        return value instanceof Toolbox.LiveArray;
+    }
+
+    // Return the elements of `list`, if it is an array or a `Toolbox.LiveArray`.
+    function elementsOf(list) {
+        if (isLiveArray(list)) {
+            return list.toArray();
+        }
+        return _.isArray(list) ? list : [];
+    }
+
+    // Return the value at the key path `path` (a list of property names),
+    // starting at `value`. The name `*` stands for each element of an array:
+    // the result is an array of the values at the rest of the path.
+    function resolvePath(value, path) {
+        if (!path.length) {
+            return value;
+        }
+        var rest = path.slice(1);
+        if (path[0] === '*') {
+            return _.map(elementsOf(value), function (element) {
+                return resolvePath(element, rest);
+            });
+        }
+        return resolvePath(getProperty(value, path[0]), rest);
+    }
+
+    // Watch the key path `path` (a list of property names), starting at `obj`.
+    // `callback` is called when a property on the path changes, except for the
+    // first one if `quiet` is true. When an object on the path is replaced, the
+    // listeners on the old object are removed and the new object is watched.
+    // The name `*` stands for each element of an array; for a `Toolbox.LiveArray`,
+    // adding, removing or moving elements also calls `callback`. Objects without smart
+    // properties are not watched. Return an object with a `dispose()` function
+    // that removes all the listeners.
+    function observePath(obj, path, callback, quiet) {
+        if (path[0] === '*') {
+            return observeElements(obj, path.slice(1), callback);
+        }
+        var eventName = path[0] + 'Changed';
+        var rest = null;
+        var disposed = false;
+        function observeRest() {
+            if (rest) {
+                rest.dispose();
+            }
+            rest = path.length > 1 ? observePath(getProperty(obj, path[0]), path.slice(1), callback) : null;
+        }
+        function onChange() {
+            if (disposed) {
+                return;
+            }
+            observeRest();
+            if (!quiet) {
+                callback();
+            }
+        }
+        if (isSmart(obj)) {
+            obj.bind(eventName, onChange);
+        }
+        observeRest();
+        return {
+            dispose: function () {
+                disposed = true;
+                if (isSmart(obj)) {
+                    obj.unbind(eventName, onChange);
+                }
+                if (rest) {
+                    rest.dispose();
+                }
+            }
+        };
+    }
+
+    // Watch the key path `path` starting at each element of `list`.
+    function observeElements(list, path, callback) {
+        var observers = [];
+        var disposed = false;
+        function observe() {
+            observers = !path.length ? [] : _.map(elementsOf(list), function (element) {
+                return observePath(element, path, callback);
+            });
+        }
+        function disposeObservers() {
+            _.each(observers, function (observer) {
+                observer.dispose();
+            });
+        }
+        function onItemsChange() {
+            if (disposed) {
+                return;
+            }
+            disposeObservers();
+            observe();
+            callback();
+        }
+        if (isLiveArray(list)) {
+            list.bind('itemsChanged', onItemsChange);
+        }
+        observe();
+        return {
+            dispose: function () {
+                disposed = true;
+                if (isLiveArray(list)) {
+                    list.unbind('itemsChanged', onItemsChange);
+                }
+                disposeObservers();
+            }
+        };
+    }
+
+    // Remove `name` from every list of watchers.
+    function removeWatcher(watchers, name) {
+        for (var key in watchers) {
+            watchers[key] = _.without(watchers[key], name);
+        }
+    }
+
+    // Return the names of the properties of `obj` that differ from their
+    // committed values (see `changedProperties()`).
+    function changedPropertiesOf(obj) {
+        var committedValues = obj._committedValues;
+        return _.select(_.keys(committedValues), function (name) {
+            return !obj._isEqual(name, committedValues[name], obj.get(name));
+        });
+    }
+
+    // Call `fn` in the context of `obj` in a batch (see `batch()`). The library
+    // uses this rather than `obj.batch()`, which a data property named `batch`
+    // would hide.
+    function runBatch(obj, fn) {
+        var outermost = !obj._batch;
+        if (outermost) {
+            obj._batch = { names: [], previousValues: {}, forced: {} };
+        }
+        try {
+            return fn.call(obj);
+        } finally {
+            if (outermost) {
+                var batch = obj._batch;
+                obj._batch = null;
+                // Forget the cached values that depend on the properties that
+                // changed, including those changed without `set()`.
+                _.each(batch.names, obj._invalidate, obj);
+                obj._triggerChanges(propagationOrder(obj._watchers, batch.names),
+                    batch.previousValues, batch.forced);
+            }
+        }
+    }
+
+    // Return the properties declared with `Toolbox.field()` and `Toolbox.prop()`
+    // by a class with smart properties, or by an object with smart properties.
+    // The properties that `Toolbox.SmartProperties` itself declares, such as
+    // `isValid`, are left out. The result maps each property name to a
+    // description with:
+    // - `name`: the property name.
+    // - `computed`: true for a computed property.
+    // - `type`: the `type` option, or `null`.
+    // - `defaultValue`: the default value of a plain property.
+    // - `watches`: the watches of a computed property, or `null` if they are
+    //   tracked automatically.
+    // - `readOnly`: true for a computed property without a setter.
+    // - `options`: all the options of the declaration.
+    Toolbox.schemaOf = function (klassOrObj) {
+        var declarations;
+        if (_.isFunction(klassOrObj)) {
+            declarations = classGraph(klassOrObj.prototype).declarations;
+        } else {
+            declarations = isSmart(klassOrObj) ? klassOrObj._declarations : instanceGraph(klassOrObj).declarations;
+        }
+        var schema = {};
+        _.each(_.keys(declarations), function (name) {
+            var declaration = declarations[name];
+            if (declaration === Toolbox.SmartProperties[name]) {
+                return;
+            }
+            var computed = isComputed(declaration);
+            schema[name] = {
+                name: name,
+                computed: computed,
+                type: declaration.options.type || null,
+                defaultValue: computed ? undefined : declaration.value,
+                watches: computed && !declaration.autoWatch ? declaration.watches : null,
+                readOnly: computed && !declaration.setter,
+                options: declaration.options
+            };
+        });
+        return schema;
+    };
+
     // Provides support for property change notifications and computed properties.
     // This module can be used by mixing it into an object or class prototype.
     // `set()` will trigger a change event for the modified property, where the
-    // event name is: `*propertyName*Changed`.
+    // event name is: `*propertyName*Changed`. Listeners are passed an object with
+    // the property `name`, its new `value`, its `previousValue` and the `source`
+    // object whose property changed.
     // A computed property can be declared using `Toolbox.prop()`.
+    // `get()`, `set()` and the watches of computed properties accept key paths
+    // such as `'owner.address.city'`, which go through nested objects with smart
+    // properties (or plain objects). A computed property that watches a key path
+    // fires a change event when any property on the path changes, including
+    // when a nested object is replaced. In a key path, `*` stands for each
+    // element of an array or `Toolbox.LiveArray`, so that a computed property
+    // can watch a property of every element, as in `'lines.*.price'`.
+    // `disposeSmartProperties()` removes
+    // the listeners that this adds to other objects.
+    // An automatically tracked computed property also watches the properties of
+    // other objects with smart properties that its getter reads with `get()`.
+    // Properties can be validated (see the `validate` option of
+    // `Toolbox.field()`). The errors of invalid properties are kept in the
+    // `errors` property, which maps each invalid property name to its list of
+    // error messages, and `isValid` is true when there are none. When a property
+    // is found invalid, the object triggers an `invalid` event, passing an object
+    // with the property `name`, its `errors`, the `value` and the `source`
+    // object. When an invalid property becomes valid, it triggers a `valid`
+    // event, with the same object without `errors`.
+    // The object keeps track of the properties that were changed with `set()`
+    // since they were last committed (see `commit()`), except for computed
+    // properties and properties whose names start with `_`. `isDirty` is true
+    // when there are any.
     // Example:
     // var MyClass = Base.extend({
     //     prop1: 'apple',
@@ -37,105 +739,1726 @@
     Toolbox.SmartProperties = {
 
         // Initialize properties to the defaults provided in `initProps` and process
-        // computed properties.
+        // computed properties. Values for properties with a `type` are converted
+        // to it; a value that cannot be converted throws an error.
         initSmartProperties: function (initProps) {
-            var that = this;
             if (initProps) {
                 _.extend(this, initProps);
             }
 
             // Build a mapping from a property name to the list of property names
-            // that depend on it.
-            var watchers = this._watchers = {};
-
-            // NOTE: This loop should include both properties explicitly assigned
-            // to `this` and properties inherited from the prototype chain, so that
-            // we handle all computed properties.
-            for (var key in this) {
-                var value = this[key];
-                if (value && value.isComputedProperty) {
-                    _.each(value.watches, function (watch) {
-                        watchers[watch] = watchers[watch] || [];
-                        watchers[watch].push(key);
-                    });
+            // that depend on it, and one from a property name to its declaration.
+            var graph = instanceGraph(this);
+            this._watchers = graph.watchers;
+            this._declarations = graph.declarations;
+
+            // Convert the initial values of properties with a `type`.
+            var that = this;
+            _.each(_.keys(initProps || {}), function (name) {
+                var declaration = declarationOf(that, name);
+                var type = isField(declaration) && declaration.options.type;
+                if (!type || isField(that[name])) {
+                    return;
                 }
-            }
+                var converted = coerce(that[name], type);
+                if (converted === unconvertible) {
+                    throw new Error('Toolbox: cannot convert ' + name + ' to ' + typeName(type));
+                }
+                that[name] = converted;
+            });
+
+            // Dependencies of automatically tracked computed properties, on this
+            // object and on other objects.
+            this._autoWatches = {};
+            this._foreignWatches = {};
+
+            // Values of computed properties with the `cache` option.
+            this._cachedValues = {};
+
+            // The values that computed properties had when they were last read,
+            // which are their previous values when a property that they watch on
+            // another object changes.
+            this._lastValues = {};
+
+            // Error messages of invalid properties, and the number of times each
+            // property has been validated, to ignore asynchronous results that
+            // came too late.
+            this._errors = {};
+            this._validationCounts = {};
+
+            // Values that changed properties had when they were last committed.
+            this._committedValues = {};
+
+            // Watch the key paths of computed properties. The first property on
+            // each path is already watched through `_watchers`.
+            this._pathObservers = _.map(graph.paths, function (watch) {
+                return observePath(that, watch.path, function () {
+                    that._externalChange(watch.property);
+                }, true);
+            });
+
+            // Read the automatically tracked computed properties, so that they
+            // fire change events before they are first read. A getter that fails
+            // now fails again when the property is read.
+            _.each(graph.autoWatched, function (name) {
+                tryGet(that, name);
+            });
+        },
+
+        // Remove the listeners that were added to other objects.
+        disposeSmartProperties: function () {
+            var that = this;
+            _.each(this._pathObservers, function (observer) {
+                observer.dispose();
+            });
+            this._pathObservers = [];
+            _.each(_.keys(this._foreignWatches), function (name) {
+                that._setForeignWatches(name, []);
+            });
         },
 
+        // The error messages of the invalid properties, by property name.
+        errors: Toolbox.prop([], function () {
+            return this._errors;
+        }, null, { equals: 'deep' }),
+
+        // True if no property is invalid.
+        isValid: Toolbox.prop([], function () {
+            return _.isEmpty(this._errors);
+        }),
+
+        // True if a property has changed since it was last committed.
+        isDirty: Toolbox.prop([], function () {
+            return changedPropertiesOf(this).length > 0;
+        }),
+
         // Return the value of the property with the given name.
         // If the property is a computed property, the value is determined by the
         // return value of the computed property's getter function.
         get: function (name) {
+            name = String(name);
+            if (name.indexOf('.') !== -1) {
+                return this._getPath(name.split('.'));
+            }
             var value = this[name];
+            recordRead(this, name);
             if (value && value.isComputedProperty) {
-                return value.getter.call(this);
+                if (value.options.cache && this._cachedValues.hasOwnProperty(name)) {
+                    return this._cachedValues[name];
+                }
+                var result = this._evaluate(name, value);
+                if (value.options.cache) {
+                    this._cachedValues[name] = result;
+                }
+                this._lastValues[name] = result;
+                return result;
+            }
+            if (value && value.isField) {
+                return value.value;
             }
             return this[name];
         },
 
         // Sets the value of the property with the given name.
         // If the property is a computed property, the property's setter function
-        // will be called with the provided `value` as the first argument.
-        set: function (name, value) {
-            var currentValue = this[name];
-            var changed = false;
-            if (currentValue && currentValue.isComputedProperty) {
-                if (currentValue.setter) {
-                    currentValue.setter.call(this, value);
-                    changed = true;
+        // will be called with the provided `value` as the first argument. The
+        // setter runs in a batch (see `batch()`).
+        // Nothing happens if `value` is equal to the current value of a property
+        // that is not computed (see the `equals` option of `Toolbox.field()`).
+        // The setter of a computed property is always called. A property only
+        // fires a change event if its value changed. Pass
+        // `{ force: true }` as `options` to set the value and fire the change
+        // events regardless.
+        // If the property has validators, they check `value` (see
+        // `Toolbox.field()`).
+        set: function (name, value, options) {
+            name = String(name);
+            if (name.indexOf('.') !== -1) {
+                return this._setPath(name.split('.'), value, options);
+            }
+            var declaration = this[name];
+            var force = !!(options && options.force);
+            if (isComputed(declaration) && !declaration.setter) {
+                return;
+            }
+            var declared = declarationOf(this, name);
+            var type = declared && declared.options.type;
+            if (type) {
+                var converted = coerce(value, type);
+                if (converted === unconvertible) {
+                    this.trigger('invalid', {
+                        name: name,
+                        errors: ['cannot be converted to ' + typeName(type)],
+                        value: value,
+                        source: this
+                    });
+                    return;
                 }
-            } else {
-                this[name] = value;
-                changed = true;
+                value = converted;
+            }
+            if (!force && !isComputed(declaration) && this._isEqual(name, this.get(name), value)) {
+                return;
             }
-            if (changed) {
-                this._triggerChange(name);
+            var validation = this._runValidators(name, value);
+            if (validation && validation.messages.length && declared.options.rejectInvalid) {
+                this.trigger('invalid', { name: name, errors: validation.messages, value: value, source: this });
+                return;
+            }
+            runBatch(this, function () {
+                this._recordChange(name, force);
+                if (!isComputed(declaration) && name.charAt(0) !== '_') {
+                    this._recordChange('isDirty');
+                    if (!this._committedValues.hasOwnProperty(name)) {
+                        this._committedValues[name] = this.get(name);
+                    }
+                }
+                if (isComputed(declaration)) {
+                    declaration.setter.call(this, value);
+                } else {
+                    this[name] = value;
+                }
+                this._invalidate(name);
+            });
+            if (validation) {
+                this._recordValidation(name, validation);
             }
         },
 
-        // Trigger a change event for the given property name.
-        // Also triggers change events for all properties that are watching this property.
-        _triggerChange: function (name) {
+        // Check the current value of the property `name` with its validators, or
+        // the values of all the properties if `name` is left out. Return true if
+        // they are valid (results of asynchronous validators are recorded later).
+        validate: function (name) {
             var that = this;
-            this.trigger(name + 'Changed');
-            _.each(this._watchers[name], function (watcher) {
-                that._triggerChange(watcher);
+            var names = name ? [name] : _.keys(this._declarations);
+            runBatch(this, function () {
+                _.each(names, function (name) {
+                    var validation = that._runValidators(name, that.get(name));
+                    if (validation) {
+                        that._recordValidation(name, validation);
+                    }
+                });
             });
-        }
-    };
+            return name ? !this._errors.hasOwnProperty(name) : this.get('isValid');
+        },
 
-    // Mix events module into SmartProperties module.
-    _.extend(Toolbox.SmartProperties, Backbone.Events);
+        // Return the names of the properties whose values differ from their
+        // committed values, in the order in which they were first changed.
+        changedProperties: function () {
+            return changedPropertiesOf(this);
+        },
 
-    // Convenience class that extends Base and already integrates the SmartProperties
-    // mixin module.
-    Toolbox.LiveObject = Toolbox.Base.extend({
-        constructor: function (props) {
-            this.initSmartProperties(props);
-        }
-    });
-    _.extend(Toolbox.LiveObject.prototype, Toolbox.SmartProperties);
+        // Make the current values of the properties their committed values.
+        commit: function () {
+            runBatch(this, function () {
+                this._recordChange('isDirty');
+                this._committedValues = {};
+            });
+        },
 
-    // Bind a property of `obj1` to a property of `obj2`.
-    // Initially, the property of `obj1` will take on the value of the `obj2` property.
-    // Subsequent changes to either property will be automatically propagated to the
-    // other property.
-    Toolbox.bindProperties = function (obj1, prop1, obj2, prop2) {
-        function createUpdateFunc(obj1, prop1, obj2, prop2) {
-            return function () {
-                var curValue = obj1.get(prop1);
-                var newValue = obj2.get(prop2);
-                if (curValue !== newValue) {
-                    obj1.set(prop1, obj2.get(prop2));
-                }
-            };
-        }
-        var update1 = createUpdateFunc(obj1, prop1, obj2, prop2);
-        var update2 = createUpdateFunc(obj2, prop2, obj1, prop1);
-        obj1.bind(prop1 + 'Changed', update2);
-        obj2.bind(prop2 + 'Changed', update1);
-        update1();
-    }
+        // Set the changed properties back to their committed values. A property
+        // whose committed value is rejected by its validators stays changed.
+        revert: function () {
+            var that = this;
+            var committedValues = this._committedValues;
+            var remaining = {};
+            runBatch(this, function () {
+                _.each(changedPropertiesOf(this), function (name) {
+                    that.set(name, committedValues[name]);
+                    if (!that._isEqual(name, committedValues[name], that.get(name))) {
+                        remaining[name] = committedValues[name];
+                    }
+                });
+                this._recordChange('isDirty');
+                this._committedValues = remaining;
+            });
+        },
+
+        // Return the error messages of the property `name`.
+        getErrors: function (name) {
+            return this._errors.hasOwnProperty(name) ? this._errors[name] : [];
+        },
+
+        _getPath: function (path) {
+            return resolvePath(this.get(path[0]), path.slice(1));
+        },
+
+        _setPath: function (path, value, options) {
+            var last = path[path.length - 1];
+            var target = this._getPath(path.slice(0, -1));
+            if (target === null || target === undefined) {
+                throw new Error('Toolbox: cannot set ' + path.join('.') + ', because ' +
+                    path.slice(0, -1).join('.') + ' is ' + target);
+            }
+            if (isSmart(target)) {
+                target.set(last, value, options);
+            } else {
+                target[last] = value;
+            }
+        },
+
+        // Call `fn` (in the context of this object), holding back change events
+        // until it returns. Then, each property that was set, and each property
+        // that depends on them, fires a single change event. Its previous value
+        // is the value it had before the batch started. Batches can be nested;
+        // the events fire when the outermost batch ends.
+        // Example:
+        //     obj.batch(function () {
+        //         this.set('firstName', 'Jane');
+        //         this.set('lastName', 'Doe');
+        //     });
+        batch: function (fn) {
+            return runBatch(this, fn);
+        },
+
+        // Record, in the current batch, that the property `name` is about to be
+        // changed. The values that it and its dependents had before the batch are
+        // captured the first time. If `previousUnknown` is true, because the
+        // change has already happened, or if a getter fails, their cached or last
+        // read values are used instead; those that have none fire change events with an `undefined`
+        // previous value. If `force` is true, they will fire change events even if
+        // their values end up unchanged.
+        _recordChange: function (name, force, previousUnknown) {
+            var batch = this._batch;
+            var that = this;
+            if (!_.include(batch.names, name)) {
+                batch.names.push(name);
+            }
+            _.each(propagationOrder(this._watchers, [name]), function (changed) {
+                if (!batch.previousValues.hasOwnProperty(changed)) {
+                    var current = previousUnknown ? null : tryGet(that, changed);
+                    if (current) {
+                        batch.previousValues[changed] = current.value;
+                    } else if (that._cachedValues.hasOwnProperty(changed)) {
+                        batch.previousValues[changed] = that._cachedValues[changed];
+                    } else if (that._lastValues.hasOwnProperty(changed)) {
+                        batch.previousValues[changed] = that._lastValues[changed];
+                    } else {
+                        batch.previousValues[changed] = undefined;
+                        batch.forced[changed] = true;
+                    }
+                }
+                if (force) {
+                    batch.forced[changed] = true;
+                }
+            });
+        },
+
+        // Call the getter of the computed property `name`. If its dependencies are
+        // tracked automatically, make it watch the properties that the getter
+        // reads. The properties read by other getters are not recorded.
+        _evaluate: function (name, computed) {
+            var that = this;
+            if (!computed.autoWatch && !trackingFrames.length) {
+                return computed.getter.call(this);
+            }
+            // The getter is already running if the property depends on itself,
+            // through the getters that have been called since.
+            _.each(trackingFrames, function (frame, index) {
+                if (frame.object === that && frame.name === name) {
+                    throw circularDependencyError(_.pluck(trackingFrames.slice(index), 'name').concat([name]));
+                }
+            });
+            var frame = { object: this, source: computed.autoWatch ? this : null, name: name, names: [], foreign: [] };
+            var failed = true;
+            trackingFrames.push(frame);
+            try {
+                var value = computed.getter.call(this);
+                failed = false;
+            } finally {
+                trackingFrames.pop();
+                // If the getter failed, the properties that it read until then are
+                // watched, unless that makes a cycle.
+                if (computed.autoWatch) {
+                    this._setAutoWatches(name, frame.names, failed);
+                    this._setForeignWatches(name, frame.foreign);
+                }
+            }
+            return value;
+        },
+
+        // Make the computed property `name` watch the properties in `watches`
+        // instead of those it watched before. If that would make properties
+        // depend on each other in a cycle, the watches are left unchanged, and an
+        // error is thrown unless `quiet` is true. The watchers may be shared with
+        // other instances (see `instanceGraph()`), so they are changed on a copy.
+        _setAutoWatches: function (name, watches, quiet) {
+            var previous = this._autoWatches[name] || [];
+            if (_.isEqual(previous, watches)) {
+                return;
+            }
+            var watchers = copyWatchers(this._watchers);
+            _.each(previous, function (watch) {
+                watchers[watch] = _.without(watchers[watch], name);
+            });
+            addWatches(watchers, name, { watches: watches });
+            var cycle = findCycle(watchers);
+            if (cycle) {
+                if (quiet) {
+                    return;
+                }
+                throw circularDependencyError(cycle);
+            }
+            this._watchers = watchers;
+            this._autoWatches[name] = watches;
+        },
+
+        // Make the computed property `name` watch the properties of other objects
+        // in `watches` (a list of objects with an `object` and a `property` name),
+        // instead of those it watched before.
+        _setForeignWatches: function (name, watches) {
+            var that = this;
+            var previous = this._foreignWatches[name] || [];
+            _.each(previous, function (watch) {
+                if (!findWatch(watches, watch.object, watch.property)) {
+                    watch.disposed = true;
+                    watch.object.unbind(watch.property + 'Changed', watch.handler);
+                }
+            });
+            this._foreignWatches[name] = _.map(watches, function (watch) {
+                var existing = findWatch(previous, watch.object, watch.property);
+                if (existing) {
+                    return existing;
+                }
+                var foreignWatch = { object: watch.object, property: watch.property, disposed: false };
+                foreignWatch.handler = function () {
+                    // The handler may still be called after the watch is removed,
+                    // while the event is being triggered.
+                    if (!foreignWatch.disposed) {
+                        that._externalChange(name);
+                    }
+                };
+                watch.object.bind(watch.property + 'Changed', foreignWatch.handler);
+                return foreignWatch;
+            });
+        },
+
+        // Fire change events for the computed property `name` (and its dependents)
+        // after a property it watches on another object has changed. Their
+        // previous values are the values they had when they were last read.
+        _externalChange: function (name) {
+            runBatch(this, function () {
+                this._recordChange(name, false, true);
+                this._invalidate(name);
+            });
+        },
+
+        // Forget the cached values of the property `name` and of the properties
+        // that depend on it.
+        _invalidate: function (name) {
+            var cachedValues = this._cachedValues;
+            _.each(propagationOrder(this._watchers, [name]), function (changed) {
+                delete cachedValues[changed];
+            });
+        },
+
+        // Return the data of this object, for `JSON.stringify()`: the values of
+        // its properties (including those inherited from its prototype), except
+        // for computed properties, functions, `undefined` values and properties
+        // whose names start with `_`. Nested objects are converted too.
+        toJSON: function () {
+            var json = {};
+            for (var name in this) {
+                if (name.charAt(0) === '_' || isComputed(this[name])) {
+                    continue;
+                }
+                var value = this.get(name);
+                if (value !== undefined && !_.isFunction(value)) {
+                    json[name] = toData(value);
+                }
+            }
+            return json;
+        },
+
+        // Check `value` with the validators of the property `name`. Return
+        // nothing if it has none, or else an object with the error `messages` of
+        // the synchronous validators and the `pending` promises of the others.
+        _runValidators: function (name, value) {
+            var that = this;
+            var validators = validatorsOf(declarationOf(this, name));
+            if (!validators.length) {
+                return null;
+            }
+            var validation = { messages: [], pending: [] };
+            _.each(validators, function (validator) {
+                var result = validator.call(that, value, name);
+                if (result && _.isFunction(result.then)) {
+                    validation.pending.push(result);
+                } else if (result) {
+                    validation.messages.push(result);
+                }
+            });
+            return validation;
+        },
+
+        // Record the result of validating the property `name`. The errors of
+        // pending validators are added when they are known, unless the property
+        // has been validated again in the meantime.
+        _recordValidation: function (name, validation) {
+            var that = this;
+            var count = this._validationCounts[name] = (this._validationCounts[name] || 0) + 1;
+            this._setErrors(name, validation.messages);
+            _.each(validation.pending, function (promise) {
+                function addError(message) {
+                    if (message && that._validationCounts[name] === count) {
+                        var errors = that._errors.hasOwnProperty(name) ? that._errors[name] : [];
+                        that._setErrors(name, errors.concat([message]));
+                    }
+                }
+                promise.then(addError, function (reason) {
+                    addError((reason && reason.message) || reason || 'is invalid');
+                });
+            });
+        },
+
+        // Replace the error messages of the property `name` with `messages`, and
+        // trigger an `invalid` or `valid` event.
+        _setErrors: function (name, messages) {
+            var wasInvalid = this._errors.hasOwnProperty(name);
+            if (!wasInvalid && !messages.length) {
+                return;
+            }
+            var errors = _.extend({}, this._errors);
+            if (messages.length) {
+                errors[name] = messages;
+            } else {
+                delete errors[name];
+            }
+            runBatch(this, function () {
+                this._recordChange('errors');
+                this._recordChange('isValid');
+                this._errors = errors;
+            });
+            if (messages.length) {
+                this.trigger('invalid', { name: name, errors: messages, value: this.get(name), source: this });
+            } else {
+                this.trigger('valid', { name: name, value: this.get(name), source: this });
+            }
+        },
+
+        // Return true if `a` and `b` are equal values of the property `name`.
+        _isEqual: function (name, a, b) {
+            return equalityOf(declarationOf(this, name))(a, b);
+        },
+
+        // Trigger change events for the given property names, in order, except for
+        // those whose values are equal to their previous values and not `forced`.
+        _triggerChanges: function (names, previousValues, forced) {
+            var that = this;
+            _.each(names, function (name) {
+                var value = that.get(name);
+                if (!forced[name] && that._isEqual(name, previousValues[name], value)) {
+                    return;
+                }
+                that.trigger(name + 'Changed', {
+                    name: name,
+                    value: value,
+                    previousValue: previousValues[name],
+                    source: that
+                });
+            });
+        }
+    };
+
+    // Mix events module into SmartProperties module.
+    _.extend(Toolbox.SmartProperties, Backbone.Events, {
+
+        // Trigger the event `eventName`, as `Backbone.Events.trigger()` does.
+        // Listeners that are unbound while the event is being triggered are only
+        // removed once it has been triggered, because Backbone does not expect
+        // the list of listeners to change while it calls them.
+        trigger: function (eventName) {
+            this._triggerDepth = (this._triggerDepth || 0) + 1;
+            try {
+                return Backbone.Events.trigger.apply(this, arguments);
+            } finally {
+                this._triggerDepth--;
+                if (!this._triggerDepth && this._pendingUnbinds) {
+                    var that = this;
+                    var pending = this._pendingUnbinds;
+                    this._pendingUnbinds = null;
+                    _.each(pending, function (args) {
+                        Backbone.Events.unbind.apply(that, args);
+                    });
+                }
+            }
+        },
+
+        // Unbind a listener, as `Backbone.Events.unbind()` does, or once the
+        // events being triggered have been (see `trigger()`).
+        unbind: function (eventName, callback) {
+            if (this._triggerDepth) {
+                (this._pendingUnbinds || (this._pendingUnbinds = [])).push(_.toArray(arguments));
+                return this;
+            }
+            return Backbone.Events.unbind.apply(this, arguments);
+        }
+    });
+
+    // Convenience class that extends Base and already integrates the SmartProperties
+    // mixin module.
+    Toolbox.LiveObject = Toolbox.Base.extend({
+        mixins: [Toolbox.SmartProperties],
+        constructor: function (props) {
+            this.initSmartProperties(props);
+        }
+    }, {
+        // Create an instance of this class from `data`, as returned by `toJSON()`,
+        // without firing change events. Values of properties with a `type` are
+        // converted to it, so that nested objects are created by class (see
+        // `Toolbox.types`). Computed properties in `data` are ignored. The
+        // constructor is passed the properties, like the `LiveObject` constructor.
+        fromJSON: function (data) {
+            var schema = Toolbox.schemaOf(this);
+            var props = {};
+            _.each(_.keys(data), function (name) {
+                var property = schema.hasOwnProperty(name) ? schema[name] : null;
+                var value = data[name];
+                if (property && property.computed) {
+                    return;
+                }
+                if (property && property.type) {
+                    value = coerce(value, property.type);
+                    if (value === unconvertible) {
+                        throw new Error('Toolbox: cannot convert ' + name + ' to ' + typeName(property.type));
+                    }
+                }
+                props[name] = value;
+            });
+            return new this(props);
+        }
+    });
+
+    // An observable list. Changing its elements triggers these events, each
+    // passed an object with the `source` list and:
+    // - `add`: the added `item` and its `index`.
+    // - `remove`: the removed `item` and the `index` it had.
+    // - `move`: the moved `item`, and the indexes it moved `from` and `to`.
+    // - `reset`: the new list of `items`, and the `previousItems`.
+    // An `add` or `remove` event fires for each element, in an order in which
+    // the indexes are valid one after the other: the list is in that state when
+    // the event fires.
+    // The list has smart properties: `length`, the number of elements, and
+    // `items`, a copy of the elements. When the elements change, they fire change
+    // events once the whole change is done (the previous value of `items` is its
+    // value when it was last read with `get()`). A computed property can watch them, or the properties of each
+    // element through a key path such as `'lines.*.price'`. The methods that read
+    // the elements count as reading `items` for automatically tracked computed
+    // properties.
+    // `where()`, `sortBy()`, `map()` and `groupBy()` return live views of the
+    // list: lists that update themselves incrementally, with `add`, `remove` and
+    // `move` events, when elements are added to this list, removed or moved, and
+    // when a watched property of an element changes. Views are lists too, but
+    // should not be changed directly. Call `dispose()` on a view that is no
+    // longer needed to stop updating it.
+    // Example:
+    //     var Invoice = Toolbox.LiveObject.extend({
+    //         lines: null,
+    //         count: Toolbox.prop(['lines.length'], function () {
+    //             return this.get('lines.length');
+    //         })
+    //     });
+    //     var invoice = new Invoice({ lines: new Toolbox.LiveArray() });
+    //     invoice.get('lines').push(line);
+    //     var expensive = invoice.get('lines').where(function (line) {
+    //         return line.get('price') > 100;
+    //     }, ['price']).sortBy('price');
+    Toolbox.LiveArray = Toolbox.Base.extend({
+        mixins: [Toolbox.SmartProperties],
+
+        length: 0,
+
+        items: Toolbox.prop([], function () {
+            return this._items.slice();
+        }),
+
+        // `items` is an optional array of initial elements.
+        constructor: function (items) {
+            this._items = items ? items.slice() : [];
+            this.length = this._items.length;
+            this.initSmartProperties();
+        },
+
+        // Return the element at `index`.
+        at: function (index) {
+            recordRead(this, 'items');
+            return this._items[index];
+        },
+
+        // Return the index of `item`, or -1 if it is not in the list.
+        indexOf: function (item) {
+            recordRead(this, 'items');
+            return _.indexOf(this._items, item);
+        },
+
+        // Return a copy of the elements, as an array.
+        toArray: function () {
+            recordRead(this, 'items');
+            return this._items.slice();
+        },
+
+        // Call `iterator` (in the context of `context`) with each element and its
+        // index.
+        each: function (iterator, context) {
+            _.each(this.toArray(), iterator, context);
+        },
+
+        // Add the arguments at the end of the list. Return the new length.
+        push: function () {
+            this.splice.apply(this, [this._items.length, 0].concat(_.toArray(arguments)));
+            return this._items.length;
+        },
+
+        // Remove the last element, and return it.
+        pop: function () {
+            return this.splice(this._items.length - 1, 1)[0];
+        },
+
+        // Remove the first element, and return it.
+        shift: function () {
+            return this.splice(0, 1)[0];
+        },
+
+        // Add the arguments at the start of the list. Return the new length.
+        unshift: function () {
+            this.splice.apply(this, [0, 0].concat(_.toArray(arguments)));
+            return this._items.length;
+        },
+
+        // Remove `howMany` elements, starting at `index`, and insert the remaining
+        // arguments there, as `Array.prototype.splice` does. Return the removed
+        // elements.
+        splice: function (index, howMany) {
+            var items = this._items;
+            var inserted = _.toArray(arguments).slice(2);
+            var start = index < 0 ? Math.max(items.length + index, 0) : Math.min(index, items.length);
+            var count = howMany === undefined ? items.length - start :
+                Math.max(Math.min(howMany, items.length - start), 0);
+            if (!count && !inserted.length) {
+                return [];
+            }
+            var removed = items.slice(start, start + count);
+            this._change(function () {
+                for (var i = count - 1; i >= 0; i--) {
+                    items.splice(start + i, 1);
+                    this._triggerItemEvent('remove', { item: removed[i], index: start + i });
+                }
+                for (i = 0; i < inserted.length; i++) {
+                    items.splice(start + i, 0, inserted[i]);
+                    this._triggerItemEvent('add', { item: inserted[i], index: start + i });
+                }
+            });
+            return removed;
+        },
+
+        // Insert `item` at `index`.
+        insert: function (index, item) {
+            this.splice(index, 0, item);
+        },
+
+        // Remove `item` from the list. Return false if it is not in the list.
+        remove: function (item) {
+            var index = _.indexOf(this._items, item);
+            if (index === -1) {
+                return false;
+            }
+            this.splice(index, 1);
+            return true;
+        },
+
+        // Remove the element at `index`, and return it.
+        removeAt: function (index) {
+            return this.splice(index, 1)[0];
+        },
+
+        // Move the element at index `from` so that its index becomes `to`.
+        move: function (from, to) {
+            var items = this._items;
+            if (from < 0 || from >= items.length || to < 0 || to >= items.length) {
+                throw new Error('Toolbox: cannot move an element from ' + from + ' to ' + to +
+                    ' in a list of length ' + items.length);
+            }
+            if (from === to) {
+                return;
+            }
+            this._change(function () {
+                var item = items.splice(from, 1)[0];
+                items.splice(to, 0, item);
+                this._triggerItemEvent('move', { item: item, from: from, to: to });
+            });
+        },
+
+        // Replace all the elements with those in the array `items`.
+        reset: function (items) {
+            var previousItems = this._items;
+            this._change(function () {
+                this._items = items ? items.slice() : [];
+                this._triggerItemEvent('reset', { items: this._items.slice(), previousItems: previousItems });
+            });
+        },
+
+        // Return a view of the elements for which `predicate` returns true, in the
+        // same order. `watches` lists the properties of the elements that
+        // `predicate` depends on.
+        where: function (predicate, watches) {
+            return new FilterView(this, predicate, watches);
+        },
+
+        // Return a view of the elements, sorted by the values of their property
+        // `key` (which is watched). `key` can also be a function that returns the
+        // value for an element; `watches` then lists the properties of the
+        // elements that it depends on.
+        sortBy: function (key, watches) {
+            return new SortView(this, key, watches);
+        },
+
+        // Return a view of the results of calling `fn` with each element.
+        // `watches` lists the properties of the elements that `fn` depends on.
+        map: function (fn, watches) {
+            return new MapView(this, fn, watches);
+        },
+
+        // Return a view of the elements, grouped by the values of their property
+        // `key` (or of the function `key`, as for `sortBy()`). The view lists
+        // groups, each an object with the `key` value and its `items`, a list of
+        // the elements with that value in the same order as in this list. Groups
+        // are listed in the order in which they were created, and removed when
+        // they become empty. The view's `group(key)` function returns the items
+        // of the group with the given key value, or null.
+        groupBy: function (key, watches) {
+            return new GroupView(this, key, watches);
+        },
+
+        // Return the data of the elements (see `SmartProperties.toJSON()`).
+        toJSON: function () {
+            return toData(this._items);
+        },
+
+        // Call `fn` to change the elements, in a batch that fires the change
+        // events of `length` and `items`.
+        _change: function (fn) {
+            runBatch(this, function () {
+                this._recordChange('length');
+                this._recordChange('items', true, true);
+                fn.call(this);
+            });
+        },
+
+        _triggerItemEvent: function (eventName, event) {
+            this.length = this._items.length;
+            this.trigger(eventName, _.extend(event, { source: this }));
+        }
+    });
+
+    // Return the value of `key` for `item`: the property named `key`, or the
+    // result of calling `key` with `item` if it is a function.
+    function keyValue(item, key) {
+        return _.isFunction(key) ? key(item) : getProperty(item, key);
+    }
+
+    // Return the number of entries before `index` in `entries` for which
+    // `iterator` returns true.
+    function countBefore(entries, index, iterator) {
+        var count = 0;
+        for (var i = 0; i < index; i++) {
+            if (iterator(entries[i])) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // A list whose elements are derived from those of the list `source`, and
+    // that updates itself as they change: when elements are added to `source`,
+    // removed or moved, and when a property named in `watches` (a list of key
+    // paths) changes on an element. Subclasses decide how the elements are
+    // derived, by handling the changes to the entries that hold the elements of
+    // `source`, in `_added()`, `_removed()`, `_moved()`, `_changed()` and
+    // `_reset()`.
+    var LiveView = Toolbox.LiveArray.extend({
+        constructor: function (source, watches) {
+            this._super();
+            var that = this;
+            this._source = source;
+            this._watches = watches || [];
+            this._disposed = false;
+            this._sourceHandlers = {
+                add: function (event) {
+                    var entry = that._watch(event.item);
+                    that._entries.splice(event.index, 0, entry);
+                    that._added(entry, event.index);
+                },
+                remove: function (event) {
+                    var entry = that._entries.splice(event.index, 1)[0];
+                    that._unwatch(entry);
+                    that._removed(entry, event.index);
+                },
+                move: function (event) {
+                    var entry = that._entries.splice(event.from, 1)[0];
+                    that._entries.splice(event.to, 0, entry);
+                    that._moved(entry, event.from, event.to);
+                },
+                reset: function () {
+                    that._resetEntries();
+                }
+            };
+            // A handler may still be called after `dispose()`, while the
+            // source is triggering the event that led to it.
+            _.each(_.keys(this._sourceHandlers), function (eventName) {
+                var handler = that._sourceHandlers[eventName];
+                that._sourceHandlers[eventName] = function (event) {
+                    if (!that._disposed) {
+                        handler(event);
+                    }
+                };
+                source.bind(eventName, that._sourceHandlers[eventName]);
+            });
+            this._entries = [];
+            this._resetEntries();
+        },
+
+        // Stop updating the view.
+        dispose: function () {
+            var that = this;
+            this._disposed = true;
+            _.each(_.keys(this._sourceHandlers), function (eventName) {
+                that._source.unbind(eventName, that._sourceHandlers[eventName]);
+            });
+            _.each(this._entries, function (entry) {
+                that._unwatch(entry);
+            });
+            this._entries = [];
+            this.disposeSmartProperties();
+        },
+
+        _resetEntries: function () {
+            var that = this;
+            _.each(this._entries, function (entry) {
+                that._unwatch(entry);
+            });
+            this._entries = _.map(this._source.toArray(), function (item) {
+                return that._watch(item);
+            });
+            this._reset();
+        },
+
+        // Return a new entry for `item`, and watch its properties.
+        _watch: function (item) {
+            var that = this;
+            var entry = { item: item };
+            entry.observers = _.map(this._watches, function (watch) {
+                return observePath(item, watch.split('.'), function () {
+                    that._changed(entry);
+                });
+            });
+            return entry;
+        },
+
+        _unwatch: function (entry) {
+            _.each(entry.observers, function (observer) {
+                observer.dispose();
+            });
+        }
+    });
+
+    // The elements of `source` for which `predicate` returns true, in the same
+    // order.
+    var FilterView = LiveView.extend({
+        constructor: function (source, predicate, watches) {
+            this._predicate = predicate;
+            this._super(source, watches);
+        },
+
+        _reset: function () {
+            var that = this;
+            _.each(this._entries, function (entry) {
+                entry.included = !!that._predicate(entry.item);
+            });
+            this.reset(_.pluck(_.select(this._entries, isIncluded), 'item'));
+        },
+
+        _added: function (entry, index) {
+            entry.included = !!this._predicate(entry.item);
+            if (entry.included) {
+                this.insert(countBefore(this._entries, index, isIncluded), entry.item);
+            }
+        },
+
+        _removed: function (entry, index) {
+            if (entry.included) {
+                this.removeAt(countBefore(this._entries, index, isIncluded));
+            }
+        },
+
+        _moved: function (entry, from, to) {
+            if (!entry.included) {
+                return;
+            }
+            var entries = this._entries;
+            var previousIndex = from < to ? countBefore(entries, from, isIncluded) :
+                countBefore(entries, from + 1, isIncluded) - 1;
+            this.move(previousIndex, countBefore(entries, to, isIncluded));
+        },
+
+        _changed: function (entry) {
+            var included = !!this._predicate(entry.item);
+            if (included === entry.included) {
+                return;
+            }
+            var index = countBefore(this._entries, _.indexOf(this._entries, entry), isIncluded);
+            entry.included = included;
+            if (included) {
+                this.insert(index, entry.item);
+            } else {
+                this.removeAt(index);
+            }
+        }
+    });
+
+    function isIncluded(entry) {
+        return entry.included;
+    }
+
+    // The elements of `source`, sorted by their values for `key` (see
+    // `keyValue()`). Elements with equal values keep the order in which they
+    // entered the view.
+    var SortView = LiveView.extend({
+        constructor: function (source, key, watches) {
+            this._key = key;
+            this._super(source, watches || (_.isFunction(key) ? [] : [key]));
+        },
+
+        _reset: function () {
+            var key = this._key;
+            _.each(this._entries, function (entry) {
+                entry.value = keyValue(entry.item, key);
+            });
+            this._order = _.sortBy(this._entries, function (entry) {
+                return entry.value;
+            });
+            this.reset(_.pluck(this._order, 'item'));
+        },
+
+        // Return the index at which an entry with the value `value` belongs: after
+        // the entries with lower or equal values.
+        _position: function (value) {
+            var low = 0;
+            var high = this._order.length;
+            while (low < high) {
+                var middle = (low + high) >> 1;
+                if (value < this._order[middle].value) {
+                    high = middle;
+                } else {
+                    low = middle + 1;
+                }
+            }
+            return low;
+        },
+
+        _added: function (entry) {
+            entry.value = keyValue(entry.item, this._key);
+            var index = this._position(entry.value);
+            this._order.splice(index, 0, entry);
+            this.insert(index, entry.item);
+        },
+
+        _removed: function (entry) {
+            var index = _.indexOf(this._order, entry);
+            this._order.splice(index, 1);
+            this.removeAt(index);
+        },
+
+        _moved: function () {
+        },
+
+        _changed: function (entry) {
+            var from = _.indexOf(this._order, entry);
+            this._order.splice(from, 1);
+            entry.value = keyValue(entry.item, this._key);
+            var to = this._position(entry.value);
+            this._order.splice(to, 0, entry);
+            this.move(from, to);
+        }
+    });
+
+    // The results of calling `fn` with each element of `source`, in the same
+    // order.
+    var MapView = LiveView.extend({
+        constructor: function (source, fn, watches) {
+            this._fn = fn;
+            this._super(source, watches);
+        },
+
+        _reset: function () {
+            var fn = this._fn;
+            this.reset(_.map(this._entries, function (entry) {
+                return fn(entry.item);
+            }));
+        },
+
+        _added: function (entry, index) {
+            this.insert(index, this._fn(entry.item));
+        },
+
+        _removed: function (entry, index) {
+            this.removeAt(index);
+        },
+
+        _moved: function (entry, from, to) {
+            this.move(from, to);
+        },
+
+        _changed: function (entry) {
+            var index = _.indexOf(this._entries, entry);
+            var value = this._fn(entry.item);
+            if (value !== this._items[index]) {
+                this.splice(index, 1, value);
+            }
+        }
+    });
+
+    // The elements of `source`, grouped by their values for `key` (see
+    // `LiveArray.groupBy()`).
+    var GroupView = LiveView.extend({
+        constructor: function (source, key, watches) {
+            this._key = key;
+            this._super(source, watches || (_.isFunction(key) ? [] : [key]));
+        },
+
+        // Return the items of the group with the key value `key`, or null if there
+        // is none.
+        group: function (key) {
+            recordRead(this, 'items');
+            var group = _.detect(this._items, function (group) {
+                return group.key === key;
+            });
+            return group ? group.items : null;
+        },
+
+        _reset: function () {
+            var key = this._key;
+            var groups = [];
+            _.each(this._entries, function (entry) {
+                entry.value = keyValue(entry.item, key);
+                var group = _.detect(groups, function (group) {
+                    return group.key === entry.value;
+                });
+                if (group) {
+                    group.items.push(entry.item);
+                } else {
+                    groups.push({ key: entry.value, items: [entry.item] });
+                }
+            });
+            this.reset(_.map(groups, function (group) {
+                return { key: group.key, items: new Toolbox.LiveArray(group.items) };
+            }));
+        },
+
+        _added: function (entry, index) {
+            entry.value = keyValue(entry.item, this._key);
+            this._addToGroup(entry, index);
+        },
+
+        _removed: function (entry, index) {
+            this._removeFromGroup(entry, index);
+        },
+
+        _moved: function (entry, from, to) {
+            var entries = this._entries;
+            var inGroup = sameValueAs(entry.value);
+            var previousIndex = from < to ? countBefore(entries, from, inGroup) :
+                countBefore(entries, from + 1, inGroup) - 1;
+            this.group(entry.value).move(previousIndex, countBefore(entries, to, inGroup));
+        },
+
+        _changed: function (entry) {
+            var value = keyValue(entry.item, this._key);
+            if (value === entry.value) {
+                return;
+            }
+            var index = _.indexOf(this._entries, entry);
+            this._removeFromGroup(entry, index);
+            entry.value = value;
+            this._addToGroup(entry, index);
+        },
+
+        _addToGroup: function (entry, index) {
+            var group = this.group(entry.value);
+            if (group) {
+                group.insert(countBefore(this._entries, index, sameValueAs(entry.value)), entry.item);
+            } else {
+                this.push({ key: entry.value, items: new Toolbox.LiveArray([entry.item]) });
+            }
+        },
+
+        _removeFromGroup: function (entry, index) {
+            var group = this.group(entry.value);
+            group.removeAt(countBefore(this._entries, index, sameValueAs(entry.value)));
+            if (!group.length) {
+                this.removeAt(_.indexOf(_.pluck(this._items, 'items'), group));
+            }
+        }
+    });
+
+    function sameValueAs(value) {
+        return function (entry) {
+            return entry.value === value;
+        };
+    }
+
+    // Set each property in the recorded `changes` to its value under `key`, then
+    // the properties that changed because of it. Changes are undone (with the
+    // key `previousValue`) in reverse order.
+    function applyChanges(changes, key) {
+        _.each(key === 'previousValue' ? changes.slice().reverse() : changes, function (change) {
+            change.object.set(change.name, change[key]);
+            applyChanges(change.changes, key);
+        });
+    }
+
+    // Records the changes made with `set()` to the objects that it tracks, so
+    // that they can be undone and redone. Each step of the history is a single
+    // `set()`, labelled with the property name, or a group of them (see
+    // `group()`). The changes to tracked objects that a `set()` causes while it
+    // runs, for example in the setter of a computed property or in a change
+    // event listener, are part of the same step. Undoing or redoing a change
+    // sets the property first, then the properties that changed because of it,
+    // so that they get their recorded values even if listeners change them
+    // again.
+    // It has these properties:
+    // - `capacity`: the maximum number of steps that can be undone. The oldest
+    //   steps are forgotten.
+    // - `canUndo` and `canRedo`: true if there is a step to undo or redo.
+    // - `undoLabel` and `redoLabel`: the label of the step that `undo()` or
+    //   `redo()` would apply, or `null`.
+    // Example:
+    //     var history = new Toolbox.History({ capacity: 50 });
+    //     history.track(doc);
+    //     history.group('rename', function () {
+    //         doc.set('title', 'Draft');
+    //         doc.set('fileName', 'draft.txt');
+    //     });
+    //     history.undo();
+    Toolbox.History = Toolbox.LiveObject.extend({
+        capacity: 100,
+        canUndo: false,
+        canRedo: false,
+        undoLabel: null,
+        redoLabel: null,
+
+        constructor: function (props) {
+            this._undoSteps = [];
+            this._redoSteps = [];
+            this._tracked = [];
+            this._group = null;
+            this._change = null;
+            this._applying = false;
+            this.initSmartProperties(props);
+        },
+
+        // Record the changes made with `set()` to `obj`, an object with smart
+        // properties.
+        track: function (obj) {
+            if (_.detect(this._tracked, function (tracked) { return tracked.object === obj; })) {
+                return;
+            }
+            var history = this;
+            var advice = Toolbox.around(obj, 'set', function (proceed, name) {
+                var args = _.toArray(arguments).slice(1);
+                if (history._applying) {
+                    return proceed.apply(null, args);
+                }
+                var change = { object: this, name: name, previousValue: this.get(name), changes: [] };
+                var outer = history._change;
+                history._change = change;
+                try {
+                    var result = proceed.apply(null, args);
+                } finally {
+                    history._change = outer;
+                }
+                change.value = this.get(name);
+                if (!this._isEqual(name, change.previousValue, change.value)) {
+                    history._record(change);
+                } else {
+                    _.each(change.changes, history._record, history);
+                }
+                return result;
+            });
+            this._tracked.push({ object: obj, advice: advice });
+        },
+
+        // Stop recording the changes made to `obj`. The steps already recorded
+        // are kept.
+        untrack: function (obj) {
+            this._tracked = _.reject(this._tracked, function (tracked) {
+                if (tracked.object === obj) {
+                    tracked.advice.remove();
+                    return true;
+                }
+                return false;
+            });
+        },
+
+        // Call `fn`, and record all the changes it makes as a single step with the
+        // label `label`. If `group()` is called while `fn` runs, its changes are
+        // part of the outer step. Return the value returned by `fn`.
+        group: function (label, fn) {
+            if (this._group) {
+                return fn();
+            }
+            this._group = { label: label, changes: [] };
+            try {
+                return fn();
+            } finally {
+                var step = this._group;
+                this._group = null;
+                if (step.changes.length) {
+                    this._push(step);
+                }
+            }
+        },
+
+        // Undo the last step. Return false if there is none.
+        undo: function () {
+            var step = this._undoSteps.pop();
+            if (!step) {
+                return false;
+            }
+            this._apply(step.changes, 'previousValue');
+            this._redoSteps.push(step);
+            this._update();
+            return true;
+        },
+
+        // Redo the last step that was undone. Return false if there is none.
+        redo: function () {
+            var step = this._redoSteps.pop();
+            if (!step) {
+                return false;
+            }
+            this._apply(step.changes, 'value');
+            this._undoSteps.push(step);
+            this._update();
+            return true;
+        },
+
+        // Forget all the steps.
+        clear: function () {
+            this._undoSteps = [];
+            this._redoSteps = [];
+            this._update();
+        },
+
+        // Add `change` to the change that caused it, to the current group, or
+        // else as a new step.
+        _record: function (change) {
+            if (this._change) {
+                this._change.changes.push(change);
+            } else if (this._group) {
+                this._group.changes.push(change);
+            } else {
+                this._push({ label: change.name, changes: [change] });
+            }
+        },
+
+        // Add `step` to the steps that can be undone, and forget those that could
+        // be redone.
+        _push: function (step) {
+            this._undoSteps.push(step);
+            if (this._undoSteps.length > this.get('capacity')) {
+                this._undoSteps.splice(0, this._undoSteps.length - this.get('capacity'));
+            }
+            this._redoSteps = [];
+            this._update();
+        },
+
+        // Apply `changes` (see `applyChanges()`) without recording them.
+        _apply: function (changes, key) {
+            this._applying = true;
+            try {
+                applyChanges(changes, key);
+            } finally {
+                this._applying = false;
+            }
+        },
+
+        _update: function () {
+            var undoStep = _.last(this._undoSteps);
+            var redoStep = _.last(this._redoSteps);
+            runBatch(this, function () {
+                this.set('canUndo', !!undoStep);
+                this.set('canRedo', !!redoStep);
+                this.set('undoLabel', undoStep ? undoStep.label : null);
+                this.set('redoLabel', redoStep ? redoStep.label : null);
+            });
+        }
+    });
+
+    // Return an immutable snapshot of the data of `obj` (see `toJSON()`), in
+    // which all the objects and arrays are frozen.
+    Toolbox.snapshot = function (obj) {
+        return deepFreeze(toData(obj));
+    };
+
+    // Return the JSON Patch (RFC 6902) that turns the data `a` into the data `b`,
+    // such as two snapshots of the same object. Elements that are added to or
+    // removed from an array are added or removed where they are, and the
+    // changed elements are diffed.
+    Toolbox.diff = function (a, b) {
+        var patch = [];
+        diffValues(a, b, [], patch);
+        return patch;
+    };
+
+    // Apply the JSON Patch (RFC 6902) `patch` to `obj`, an object with smart
+    // properties. The properties are changed with `set()`, so that they fire
+    // change events. When the path of an operation goes into a plain object or
+    // array, the property that holds it is set to an updated copy. A `test`
+    // operation that fails throws an error, leaving the operations before it
+    // applied. The change events of `obj` fire when the whole patch is applied.
+    // Return `obj`.
+    Toolbox.applyPatch = function (obj, patch) {
+        runBatch(obj, function () {
+            _.each(patch, function (operation) {
+                applyOperation(obj, operation);
+            });
+        });
+        return obj;
+    };
+
+    function deepFreeze(value) {
+        if (_.isArray(value) || isPlainObject(value)) {
+            _.each(value, deepFreeze);
+            Object.freeze(value);
+        }
+        return value;
+    }
+
+    // Return the JSON pointer to the value at the path `tokens`.
+    function pointerOf(tokens) {
+        return _.map(tokens, function (token) {
+            return '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+        }).join('');
+    }
+
+    // Return the path that the JSON pointer `pointer` refers to.
+    function parsePointer(pointer) {
+        if (pointer === '') {
+            return [];
+        }
+        if (pointer.charAt(0) !== '/') {
+            throw new Error('Toolbox: invalid JSON pointer: ' + pointer);
+        }
+        return _.map(pointer.slice(1).split('/'), function (token) {
+            return token.replace(/~1/g, '/').replace(/~0/g, '~');
+        });
+    }
+
+    // Add the operations that turn `a` into `b` to `patch`. `tokens` is the path
+    // to both values.
+    function diffValues(a, b, tokens, patch) {
+        if (_.isArray(a) && _.isArray(b)) {
+            diffArrays(a, b, tokens, patch);
+        } else if (isPlainObject(a) && isPlainObject(b)) {
+            _.each(_.keys(a), function (key) {
+                if (!b.hasOwnProperty(key)) {
+                    patch.push({ op: 'remove', path: pointerOf(tokens.concat([key])) });
+                }
+            });
+            _.each(_.keys(b), function (key) {
+                if (a.hasOwnProperty(key)) {
+                    diffValues(a[key], b[key], tokens.concat([key]), patch);
+                } else {
+                    patch.push({ op: 'add', path: pointerOf(tokens.concat([key])), value: b[key] });
+                }
+            });
+        } else if (!_.isEqual(a, b)) {
+            patch.push({ op: 'replace', path: pointerOf(tokens), value: b });
+        }
+    }
+
+    // Add the operations that turn the array `a` into the array `b` to `patch`.
+    // The elements that stay are found with a longest common subsequence, so
+    // that adding or removing an element does not change the ones after it.
+    // Between two elements that stay, the removed and added elements are
+    // paired up and diffed, and the others are removed or added.
+    function diffArrays(a, b, tokens, patch) {
+        var start = 0;
+        var endA = a.length;
+        var endB = b.length;
+        while (start < endA && start < endB && _.isEqual(a[start], b[start])) {
+            start++;
+        }
+        while (endA > start && endB > start && _.isEqual(a[endA - 1], b[endB - 1])) {
+            endA--;
+            endB--;
+        }
+        var lengths = commonLengths(a.slice(start, endA), b.slice(start, endB));
+        var index = start;
+        var removed = [];
+        var added = [];
+        function flush() {
+            var paired = Math.min(removed.length, added.length);
+            var k;
+            for (k = 0; k < paired; k++) {
+                diffValues(removed[k], added[k], tokens.concat([index + k]), patch);
+            }
+            for (k = paired; k < removed.length; k++) {
+                patch.push({ op: 'remove', path: pointerOf(tokens.concat([index + paired])) });
+            }
+            for (k = paired; k < added.length; k++) {
+                patch.push({ op: 'add', path: pointerOf(tokens.concat([index + k])), value: added[k] });
+            }
+            index += added.length;
+            removed = [];
+            added = [];
+        }
+        var i = start;
+        var j = start;
+        while (i < endA || j < endB) {
+            if (i < endA && j < endB && _.isEqual(a[i], b[j])) {
+                flush();
+                index++;
+                i++;
+                j++;
+            } else if (j === endB || (i < endA &&
+                    lengths[i - start + 1][j - start] >= lengths[i - start][j - start + 1])) {
+                removed.push(a[i++]);
+            } else {
+                added.push(b[j++]);
+            }
+        }
+        flush();
+    }
+
+    // Return the table of the lengths of the longest common subsequences of
+    // `a.slice(i)` and `b.slice(j)`, for each `i` and `j`.
+    function commonLengths(a, b) {
+        var lengths = [];
+        for (var i = a.length; i >= 0; i--) {
+            lengths[i] = [];
+            for (var j = b.length; j >= 0; j--) {
+                if (i === a.length || j === b.length) {
+                    lengths[i][j] = 0;
+                } else if (_.isEqual(a[i], b[j])) {
+                    lengths[i][j] = lengths[i + 1][j + 1] + 1;
+                } else {
+                    lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+        }
+        return lengths;
+    }
+
+    function applyOperation(root, operation) {
+        var path = parsePointer(operation.path);
+        var from = operation.from !== undefined ? parsePointer(operation.from) : null;
+        switch (operation.op) {
+        case 'add':
+        case 'replace':
+            updateAt(root, path, operation.op, toData(operation.value));
+            break;
+        case 'remove':
+            updateAt(root, path, 'remove');
+            break;
+        case 'move':
+            var value = valueAt(root, from);
+            updateAt(root, from, 'remove');
+            updateAt(root, path, 'add', value);
+            break;
+        case 'copy':
+            updateAt(root, path, 'add', toData(valueAt(root, from)));
+            break;
+        case 'test':
+            if (!_.isEqual(toData(valueAt(root, path)), operation.value)) {
+                throw new Error('Toolbox: patch test failed at ' + operation.path);
+            }
+            break;
+        default:
+            throw new Error('Toolbox: unknown patch operation: ' + operation.op);
+        }
+    }
+
+    // Return the value at the path `tokens`, starting at `value`.
+    function valueAt(value, tokens) {
+        _.each(tokens, function (token) {
+            value = childOf(value, token, tokens);
+        });
+        return value;
+    }
+
+    function childOf(value, token, tokens) {
+        if (value === null || typeof value !== 'object') {
+            throw new Error('Toolbox: invalid patch path: ' + pointerOf(tokens));
+        }
+        if (_.isArray(value) || isLiveArray(value)) {
+            var elements = elementsOf(value);
+            return elements[arrayIndex(elements, token, tokens, false)];
+        }
+        return getProperty(value, token);
+    }
+
+    // Return the index in `array` that `token` refers to. The index just past
+    // the end (also written `-`) is only allowed if `end` is true.
+    function arrayIndex(array, token, tokens, end) {
+        var index = token === '-' ? array.length : (/^(0|[1-9]\d*)$/.test(token) ? Number(token) : -1);
+        if (index < 0 || index > array.length || (index === array.length && !end)) {
+            throw new Error('Toolbox: invalid patch path: ' + pointerOf(tokens));
+        }
+        return index;
+    }
+
+    // Add, replace or remove (according to `op`) the value at the path `tokens`,
+    // starting at `root`. The last object with smart properties on the path is
+    // changed with `set()`, or, for a `Toolbox.LiveArray`, by changing its
+    // elements.
+    function updateAt(root, tokens, op, value) {
+        if (!tokens.length) {
+            throw new Error('Toolbox: cannot replace the object that a patch is applied to');
+        }
+        var owner = root;
+        var start = 0;
+        var current = root;
+        for (var i = 0; i < tokens.length - 1; i++) {
+            current = childOf(current, tokens[i], tokens);
+            if (isSmart(current)) {
+                owner = current;
+                start = i + 1;
+            }
+        }
+        var name = tokens[start];
+        var rest = tokens.slice(start + 1);
+        if (isLiveArray(owner)) {
+            var index = arrayIndex(owner.toArray(), name, tokens, op === 'add' && !rest.length);
+            if (rest.length) {
+                owner.splice(index, 1, updatedCopy(owner.at(index), rest, op, value, tokens));
+            } else if (op === 'add') {
+                owner.insert(index, value);
+            } else if (op === 'remove') {
+                owner.removeAt(index);
+            } else {
+                owner.splice(index, 1, value);
+            }
+        } else if (rest.length) {
+            owner.set(name, updatedCopy(owner.get(name), rest, op, value, tokens));
+        } else {
+            owner.set(name, op === 'remove' ? undefined : value);
+        }
+    }
+
+    // Return a copy of the plain object or array `container`, in which the value
+    // at the path `rest` is added, replaced or removed. Only the objects and
+    // arrays on the path are copied.
+    function updatedCopy(container, rest, op, value, tokens) {
+        var token = rest[0];
+        var copy;
+        if (_.isArray(container)) {
+            copy = container.slice();
+            token = arrayIndex(copy, token, tokens, op === 'add');
+        } else if (isPlainObject(container)) {
+            copy = _.extend({}, container);
+        } else {
+            throw new Error('Toolbox: invalid patch path: ' + pointerOf(tokens));
+        }
+        if (rest.length > 1) {
+            copy[token] = updatedCopy(copy[token], rest.slice(1), op, value, tokens);
+        } else if (_.isArray(copy)) {
+            copy.splice(token, op === 'add' ? 0 : 1);
+            if (op !== 'remove') {
+                copy.splice(token, 0, value);
+            }
+        } else if (op === 'remove') {
+            delete copy[token];
+        } else {
+            copy[token] = value;
+        }
+        return copy;
+    }
+
+    // Bind a property of `obj1` to a property of `obj2`.
+    // Initially, the property of `obj1` will take on the value of the `obj2` property.
+    // Subsequent changes to either property will be automatically propagated to the
+    // other property.
+    // `options` can contain:
+    // - `mode`: one of
+    //   - `'twoWay'` (the default): changes are propagated both ways.
+    //   - `'oneWay'`: only changes to the property of `obj2` are propagated.
+    //   - `'oneWayToSource'`: only changes to the property of `obj1` are
+    //     propagated, and initially, the property of `obj2` takes on the value of
+    //     the `obj1` property.
+    //   - `'oneTime'`: the property of `obj1` only takes on the initial value.
+    // - `convert`: a function that converts a value of the `obj2` property to a
+    //   value for the `obj1` property.
+    // - `convertBack`: a function that converts a value of the `obj1` property
+    //   to a value for the `obj2` property.
+    // A converter rejects a value by throwing an error. The other property is
+    // then left unchanged, and the binding triggers an `error` event, passing an
+    // object with the `error`, the rejected `value`, and the `source` object and
+    // `property` that it came from.
+    // Return the binding, which has a `dispose()` function that stops
+    // propagating changes.
+    // Example:
+    //     Toolbox.bindProperties(field, 'text', product, 'cents', {
+    //         convert: function (cents) {
+    //             return (cents / 100).toFixed(2);
+    //         },
+    //         convertBack: function (text) {
+    //             if (!/^\d+(\.\d\d?)?$/.test(text)) {
+    //                 throw new Error('not an amount');
+    //             }
+    //             return Math.round(parseFloat(text) * 100);
+    //         }
+    //     });
+    Toolbox.bindProperties = function (obj1, prop1, obj2, prop2, options) {
+        options = options || {};
+        var mode = options.mode || 'twoWay';
+        if (!_.include(['twoWay', 'oneWay', 'oneWayToSource', 'oneTime'], mode)) {
+            throw new Error('Toolbox: unknown binding mode: ' + mode);
+        }
+        var binding = _.extend({}, Backbone.Events);
+        var updating = false;
+        function identity(value) {
+            return value;
+        }
+        function createUpdateFunc(obj1, prop1, obj2, prop2, convert) {
+            return function () {
+                // Ignore the change events caused by the update itself.
+                if (updating) {
+                    return;
+                }
+                var newValue = obj2.get(prop2);
+                try {
+                    var converted = convert(newValue);
+                } catch (error) {
+                    binding.trigger('error', { error: error, value: newValue, source: obj2, property: prop2 });
+                    return;
+                }
+                updating = true;
+                try {
+                    obj1.set(prop1, converted);
+                } finally {
+                    updating = false;
+                }
+            };
+        }
+        var update1 = createUpdateFunc(obj1, prop1, obj2, prop2, options.convert || identity);
+        var update2 = createUpdateFunc(obj2, prop2, obj1, prop1, options.convertBack || identity);
+        if (mode === 'twoWay' || mode === 'oneWayToSource') {
+            obj1.bind(prop1 + 'Changed', update2);
+        }
+        if (mode === 'twoWay' || mode === 'oneWay') {
+            obj2.bind(prop2 + 'Changed', update1);
+        }
+        if (mode === 'oneWayToSource') {
+            update2();
+        } else {
+            update1();
+        }
+        binding.dispose = function () {
+            obj1.unbind(prop1 + 'Changed', update2);
+            obj2.unbind(prop2 + 'Changed', update1);
+        };
+        return binding;
+    };
 })();
 
 
@@ -9,51 +9,396 @@
     // Shared empty constructor function to aid in prototype-chain creation.
     var ctor = function () {};
 
+    // Matches functions that call `this._super`. If function decompilation is
+    // not supported, assume that every function might.
+    var superPattern = /xyz/.test(function () { xyz; }) ? /\b_super\b/ : /.*/;
+
+    // Instances that have already been created by the constructor of a native
+    // (ES) class, with the arguments that it was called with. Native classes only
+    // exist where `WeakMap` does.
+    var nativeInstances = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+
+    // Named classes, by name and in the order they were created.
+    var registry = {};
+    var registeredClasses = [];
+
+    // Return true if `fn` is a native class, which cannot be called without `new`.
+    function isNativeClass(fn) {
+        return typeof fn === 'function' && /^class\b/.test(Function.prototype.toString.call(fn));
+    }
+
     // Helper function to correctly set up the prototype chain, for subclasses.
     // Similar to `goog.inherits`, but uses a hash of prototype properties and
     // class properties to be extended.
-    var inherits = function (parent, protoProps, staticProps) {
-        var child;
+    var inherits = function (parent, name, protoProps, staticProps, options) {
+        var child, proto, mixed;
+        var liveStatics = !!((options && options.liveStatics) || parent.__liveStatics__);
+        var mergeStatics = _.uniq((parent.__mergeStatics__ || []).concat((options && options.mergeStatics) || []));
+        var mixins = (protoProps && protoProps.mixins) || [];
+        var interfaces = (protoProps && protoProps.interfaces) || [];
+
+        // The nearest native class in the ancestry of the new subclass, if any.
+        // A native class cannot be called on an existing object, so its
+        // constructor is called (with `new`) before that of any subclass, with
+        // the arguments of the class being instantiated. Calling it from a
+        // subclass constructor does nothing, and throws an error if other
+        // arguments are passed.
+        var nativeBase = isNativeClass(parent) ? parent : parent.__nativeBase__;
+        var superConstructor = isNativeClass(parent) ? nativeSuperConstructor : parent;
 
         // The constructor function for the new subclass is either defined by you
         // (the "constructor" property in your `extend` definition), or defaulted
         // by us to simply call `super()`.
         if (protoProps && protoProps.hasOwnProperty('constructor')) {
             child = protoProps.constructor;
+            if (superPattern.test(child)) {
+                child = withSuper(child, function () { return superConstructor; });
+            }
         } else {
-            child = function () { return parent.apply(this, arguments); };
+            child = function () { return superConstructor.apply(this, arguments); };
         }
 
-        // Inherit class (static) properties from parent.
-        _.extend(child, parent);
+        // Run the initializers of the mixins before the constructor body.
+        if (mixins.length) {
+            child = withMixinInitializers(child, mixins);
+        }
+
+        if (nativeBase) {
+            child = withNativeConstruction(child, nativeBase);
+        }
 
         // Set the prototype chain to inherit from `parent`, without calling
         // `parent`'s constructor function.
         ctor.prototype = parent.prototype;
-        child.prototype = new ctor();
+        proto = new ctor();
+
+        // Add the members of the mixins, then the prototype properties (instance
+        // properties) to the subclass, if supplied.
+        mixed = mixins.length ? mixMembers(mixins, protoProps) : {};
+        addMembers(proto, mixed, parent, {});
+        if (protoProps) addMembers(proto, protoProps, parent, mixed);
+
+        // Classes with abstract methods or declared interfaces check, when they
+        // are first instantiated, that every required method has been provided.
+        var hasContracts = !!(interfaces.length || parent.__hasContracts__ ||
+            _.include(_.values(proto), Toolbox.abstractMethod));
+        if (hasContracts) {
+            child = withContractCheck(child);
+        }
+
+        // Give a named class a constructor function with that name, so that it
+        // shows up in stack traces.
+        if (name) {
+            child = namedConstructor(name, child);
+        }
+        child.prototype = proto;
 
-        // Add prototype properties (instance properties) to the subclass,
-        // if supplied.
-        if (protoProps) _.extend(child.prototype, protoProps);
+        // Inherit class (static) properties from parent. They are either copied,
+        // or (with the `liveStatics` option) looked up through the prototype chain
+        // of the constructor, so that later changes to the parent's statics are
+        // seen by the child. The static methods of native classes are not
+        // enumerable, so they are always inherited through the prototype chain.
+        if (nativeBase || liveStatics) setPrototypeOf(child, parent);
+        if (!liveStatics) _.extend(child, parent);
+        var copiedStatics = liveStatics ? [] : _.keys(child);
 
         // Add static properties to the constructor function, if supplied.
-        if (staticProps) _.extend(child, staticProps);
+        // Those named in `mergeStatics` are deep-merged with the parent's value;
+        // with `liveStatics`, each time they are read.
+        if (staticProps) {
+            _.extend(child, staticProps);
+            _.each(mergeStatics, function (key) {
+                if (!staticProps.hasOwnProperty(key)) {
+                    return;
+                }
+                if (liveStatics) {
+                    defineMergedStatic(child, key, parent, staticProps[key]);
+                } else {
+                    child[key] = deepMerge(parent[key], staticProps[key]);
+                }
+            });
+        }
 
         // Correctly set child's `prototype.constructor`.
         child.prototype.constructor = child;
 
         // Set a convenience property in case the parent's prototype is needed later.
-        child.__super__ = parent.prototype;
+        defineSuper(child, parent);
+        child.__nativeBase__ = nativeBase;
+        child.__hasContracts__ = hasContracts;
+        child.__liveStatics__ = liveStatics;
+        child.__mergeStatics__ = mergeStatics;
+        child.__copiedStatics__ = _.without.apply(_, [copiedStatics].concat(_.keys(staticProps || {})));
+        child.__name__ = name;
+        if (name) {
+            Object.defineProperty(child, 'toString', { value: classToString, configurable: true });
+        }
+
+        // Record the mixins and interfaces declared by this class (not including
+        // inherited ones).
+        child.__mixins__ = mixins.slice();
+        child.__interfaces__ = interfaces.slice();
 
         return child;
     };
 
+    function setPrototypeOf(obj, proto) {
+        if (Object.setPrototypeOf) {
+            Object.setPrototypeOf(obj, proto);
+        } else {
+            obj.__proto__ = proto;
+        }
+    }
+
+    function isPlainObject(value) {
+        return Object.prototype.toString.call(value) === '[object Object]';
+    }
+
+    // Return a new object with the properties of `base`, overridden by those of
+    // `overrides`. Nested plain objects are merged the same way; any other value
+    // (including arrays) in `overrides` replaces the one in `base`.
+    function deepMerge(base, overrides) {
+        if (!isPlainObject(base) || !isPlainObject(overrides)) {
+            return overrides;
+        }
+        var result = _.extend({}, base);
+        for (var key in overrides) {
+            result[key] = base.hasOwnProperty(key) ? deepMerge(base[key], overrides[key]) : overrides[key];
+        }
+        return result;
+    }
+
+    // Define the static property `key` of `klass` as the deep merge of the
+    // parent's value and `value`, computed when it is read. Assigning the
+    // property replaces `value`; assigning it on a subclass gives the subclass
+    // its own property, as it would for a plain static property.
+    function defineMergedStatic(klass, key, parent, value) {
+        Object.defineProperty(klass, key, {
+            get: function () {
+                return deepMerge(parent[key], value);
+            },
+            set: function (newValue) {
+                if (this === klass) {
+                    value = newValue;
+                } else {
+                    Object.defineProperty(this, key, {
+                        value: newValue, writable: true, enumerable: true, configurable: true
+                    });
+                }
+            },
+            enumerable: true,
+            configurable: true
+        });
+    }
+
+    // Collect the members of `mixins` into a single object, in the order the
+    // mixins are listed. A member supplied by more than one mixin is a conflict
+    // unless the class resolves it by defining that member itself in `protoProps`.
+    function mixMembers(mixins, protoProps) {
+        var members = {};
+        var conflicts = [];
+        _.each(mixins, function (mixin) {
+            for (var key in mixin) {
+                if (key === 'initMixin') continue;
+                if (members.hasOwnProperty(key) && members[key] !== mixin[key] &&
+                        !protoProps.hasOwnProperty(key) && !_.include(conflicts, key)) {
+                    conflicts.push(key);
+                }
+                members[key] = mixin[key];
+            }
+        });
+        if (conflicts.length) {
+            throw new Error('Toolbox: conflicting mixin members: ' + conflicts.join(', '));
+        }
+        return members;
+    }
+
+    // Copy `members` onto `proto`. Methods that call `this._super` are wrapped so
+    // that `_super` refers to the method they override: the one added by a mixin
+    // of the same class (if it is in `mixed`), or else the one inherited from
+    // `parent`. Inherited methods are looked up when called, not when defined.
+    // A method copied from another class is rewrapped for its new place.
+    function addMembers(proto, members, parent, mixed) {
+        for (var key in members) {
+            var value = members[key];
+            if (key === 'mixins' || key === 'interfaces') continue;
+            if (_.isFunction(value) && key !== 'constructor' && superPattern.test(value)) {
+                value = withSuper(value.__method__ || value, superLookup(proto, key, parent, mixed));
+            }
+            proto[key] = value;
+        }
+    }
+
+    // Return a function that finds the method overridden by `proto[key]`.
+    function superLookup(proto, key, parent, mixed) {
+        var overridden = proto[key];
+        if (mixed.hasOwnProperty(key)) {
+            return function () { return overridden; };
+        }
+        return function () { return parent.prototype[key]; };
+    }
+
+    // Wrap `fn` so that `this._super` refers to the function returned by
+    // `getSuper` while `fn` runs. `_super` is not enumerable, so that it does not
+    // show up among the properties of the object.
+    function withSuper(fn, getSuper) {
+        var wrapper = function () {
+            var previous = Object.getOwnPropertyDescriptor(this, '_super');
+            Object.defineProperty(this, '_super', { value: getSuper(), writable: true, configurable: true });
+            try {
+                return fn.apply(this, arguments);
+            } finally {
+                if (previous) {
+                    Object.defineProperty(this, '_super', previous);
+                } else {
+                    delete this._super;
+                }
+            }
+        };
+        wrapper.__method__ = fn;
+        return wrapper;
+    }
+
+    // Wrap the constructor function `body` so that the `initMixin` function of
+    // each mixin is called, with the constructor arguments, before `body` runs.
+    function withMixinInitializers(body, mixins) {
+        return function () {
+            var that = this;
+            var args = arguments;
+            _.each(mixins, function (mixin) {
+                if (mixin.initMixin) mixin.initMixin.apply(that, args);
+            });
+            return body.apply(this, arguments);
+        };
+    }
+
+    // Define the `__super__` property of `klass`. It is not enumerable, so that it
+    // is not copied to subclasses along with the other static properties. Native
+    // classes that extend `klass` inherit it, and get their own parent's prototype.
+    function defineSuper(klass, parent) {
+        Object.defineProperty(klass, '__super__', {
+            get: function () {
+                return this === klass ? parent && parent.prototype : Object.getPrototypeOf(this).prototype;
+            },
+            configurable: true
+        });
+    }
+
+    // Wrap the constructor function `body` so that the instance is created by
+    // calling the native class `nativeBase` with `new`, unless that has already
+    // been done. `body` then runs on that instance.
+    function withNativeConstruction(body, nativeBase) {
+        return function () {
+            var instance = this;
+            if (!nativeInstances.has(instance)) {
+                instance = Reflect.construct(nativeBase, arguments, this.constructor);
+                nativeInstances.set(instance, _.toArray(arguments));
+            }
+            var result = body.apply(instance, arguments);
+            return result !== null && (typeof result === 'object' || typeof result === 'function') ?
+                result : instance;
+        };
+    }
+
+    // The constructor that the direct subclasses of a native class call as
+    // `_super`. The native constructor has already run, so this only checks
+    // that it was given the same arguments.
+    function nativeSuperConstructor() {
+        var args = nativeInstances.get(this) || [];
+        for (var i = 0; i < Math.max(args.length, arguments.length); i++) {
+            if (args[i] !== arguments[i]) {
+                throw new Error('Toolbox: the native constructor was called with the arguments ' +
+                    'of the subclass constructor, so _super() cannot pass other arguments');
+            }
+        }
+    }
+
+    // Wrap the constructor function `body` so that creating an instance first
+    // checks that its class (the most derived one, which may be a native class)
+    // has no missing methods. The check is only done once per class.
+    function withContractCheck(body) {
+        return function () {
+            var klass = this.constructor;
+            if (!klass.hasOwnProperty('__contractsVerified__')) {
+                var missing = missingMethods(klass);
+                if (missing.length) {
+                    var name = klass.hasOwnProperty('__name__') && klass.__name__;
+                    throw new Error('Toolbox: cannot instantiate ' + (name || 'a class') +
+                        ' with missing methods: ' + missing.join(', '));
+                }
+                Object.defineProperty(klass, '__contractsVerified__', { value: true });
+            }
+            return body.apply(this, arguments);
+        };
+    }
+
+    // Wrap the constructor function `body` in a function named after `name`.
+    // Characters that cannot be used in an identifier are replaced with `_`. If
+    // the name cannot be used, or functions cannot be created from source, `body`
+    // is returned unchanged.
+    function namedConstructor(name, body) {
+        var identifier = name.replace(/[^\w$]/g, '_').replace(/^(\d)/, '_$1');
+        try {
+            return new Function('body',
+                'return function ' + identifier + '() { return body.apply(this, arguments); };')(body);
+        } catch (e) {
+            return body;
+        }
+    }
+
+    // `toString` of named classes. Native subclasses inherit it, but have no
+    // name of their own.
+    function classToString() {
+        return this.hasOwnProperty('__name__') && this.__name__ ?
+            this.__name__ : Function.prototype.toString.call(this);
+    }
+
+    // Return the names of the abstract methods of `klass`, and of the methods of
+    // its declared interfaces (including inherited ones) that it does not have.
+    function missingMethods(klass) {
+        var proto = klass.prototype;
+        var missing = [];
+        for (var key in proto) {
+            if (proto[key] === Toolbox.abstractMethod) {
+                missing.push(key);
+            }
+        }
+        for (; klass; klass = klass.__super__ && klass.__super__.constructor) {
+            _.each(klass.__interfaces__, function (iface) {
+                _.each(iface.methods, function (name) {
+                    if (!isImplemented(proto[name]) && !_.include(missing, name)) {
+                        missing.push(name);
+                    }
+                });
+            });
+        }
+        return missing;
+    }
+
+    function isImplemented(method) {
+        return _.isFunction(method) && method !== Toolbox.abstractMethod;
+    }
+
     // Self-propagating extend function.
     // Create a new class that inherits from the class found in the `this` context object.
     // This function is meant to be called in the context of a constructor function.
-    function extendThis(protoProps, staticProps) {
-        var child = inherits(this, protoProps, staticProps);
+    // The name of the new class can be given as an optional first argument.
+    function extendThis(name, protoProps, staticProps, options) {
+        if (typeof name !== 'string') {
+            options = staticProps;
+            staticProps = protoProps;
+            protoProps = name;
+            name = null;
+        }
+        if (name && registry.hasOwnProperty(name)) {
+            throw new Error('Toolbox: a class named ' + name + ' already exists');
+        }
+        var child = inherits(this, name, protoProps, staticProps, options);
         child.extend = extendThis;
+        if (name) {
+            registry[name] = child;
+            registeredClasses.push(child);
+        }
         return child;
     }
 
@@ -65,7 +410,235 @@
     //         someMethod: function () { ... }
     //     });
     //     var instance = new MyClass();
+    //
+    // Static properties are copied from the parent class when `extend` is called.
+    // The optional third argument of `extend` can change that:
+    // - `liveStatics: true` makes the class (and its subclasses) look up static
+    //   properties through the parent class instead, so that statics added or
+    //   changed on the parent later are seen by the subclass.
+    // - `mergeStatics` is a list of names of static config objects, such as
+    //   `defaults`. A subclass that defines one of them gets a deep merge of the
+    //   parent's value and its own. The list is inherited by subclasses. With
+    //   `liveStatics`, the merge is done each time the property is read, so the
+    //   subclass sees later changes to the parent's value; change the
+    //   subclass's own value by assigning the property, since changes to the
+    //   merged object are not kept.
+    // Example:
+    //     var Widget = Toolbox.Base.extend({}, {
+    //         defaults: { size: { width: 10, height: 10 }, color: 'red' }
+    //     }, { mergeStatics: ['defaults'] });
+    //     var Wide = Widget.extend({}, { defaults: { size: { width: 20 } } });
+    //     // Wide.defaults: { size: { width: 20, height: 10 }, color: 'red' }
+    //
+    // A class can be given a name as the first argument of `extend`. Names must be
+    // unique. A named class has a constructor function with that name (for stack
+    // traces) and `toString` returns the name. It can be looked up with
+    // `Toolbox.getClass(name)`, and is listed by `Toolbox.subclassesOf(parent)`.
+    // Example:
+    //     var Csv = Exporter.extend('exporters.Csv', { ... });
+    //     Toolbox.getClass('exporters.Csv') === Csv;
+    //
+    // An overriding method (including `constructor`) can call the method it
+    // overrides with `this._super(...)`:
+    //     var MySubclass = MyClass.extend({
+    //         someMethod: function (arg) {
+    //             return this._super(arg) + 1;
+    //         }
+    //     });
+    //
+    // Behavior can be shared between classes by listing mixin objects in the
+    // `mixins` property. Their members are added to the prototype in the order
+    // given, before the class's own prototype properties, so the class always
+    // wins. Two mixins supplying the same member is an error, unless the class
+    // defines that member itself. A mixin's `initMixin` function is not copied;
+    // it is called with the constructor arguments whenever an instance is created.
+    // Example:
+    //     var Widget = Toolbox.Base.extend({
+    //         mixins: [Backbone.Events, Draggable],
+    //         render: function () { ... }
+    //     });
+    //
+    // A class can declare abstract methods with `Toolbox.abstractMethod`, and the
+    // interfaces it implements in the `interfaces` property. Such a class can be
+    // extended, but creating an instance throws an error unless every abstract
+    // method and every interface method has been provided.
+    // Example:
+    //     var Plugin = Toolbox.defineInterface('Plugin', ['start', 'stop']);
+    //     var BasePlugin = Toolbox.Base.extend({
+    //         interfaces: [Plugin],
+    //         start: function () { this.setUp(); },
+    //         setUp: Toolbox.abstractMethod
+    //     });
+    //
+    // Native classes work in both directions. A native class can extend
+    // `Toolbox.Base` (or any of its subclasses) and still be extended with
+    // `extend`, and `Toolbox.extend(NativeClass, protoProps)` creates a subclass
+    // of a native class that did not come from `Toolbox.Base` at all.
     Toolbox.Base = function () {}
     Toolbox.Base.extend = extendThis;
+    defineSuper(Toolbox.Base);
+
+    // Create a subclass of any constructor function or class. The subclass gets
+    // the `extend` function.
+    Toolbox.extend = function (parent, name, protoProps, staticProps, options) {
+        return extendThis.call(parent, name, protoProps, staticProps, options);
+    };
+
+    // Return the class with the given name, or `undefined` if there is none.
+    Toolbox.getClass = function (name) {
+        return registry.hasOwnProperty(name) ? registry[name] : undefined;
+    };
+
+    // Return the named classes that inherit from `klass`, directly or not, in the
+    // order they were created.
+    Toolbox.subclassesOf = function (klass) {
+        return _.select(registeredClasses, function (other) {
+            return other !== klass && klass.prototype.isPrototypeOf(other.prototype);
+        });
+    };
+
+    // Return the names of the static properties that `klass` defines itself,
+    // rather than inheriting from its parent class. Static properties that
+    // Toolbox uses internally are not included.
+    Toolbox.ownStatics = function (klass) {
+        return _.select(_.keys(klass), function (key) {
+            return key !== 'extend' && !/^__.*__$/.test(key) &&
+                !_.include(klass.__copiedStatics__ || [], key);
+        });
+    };
+
+    // Return true if `obj` (a class or an instance) uses `mixin`, either
+    // directly or through one of its superclasses.
+    Toolbox.hasMixin = function (obj, mixin) {
+        var klass = _.isFunction(obj) ? obj : obj.constructor;
+        while (klass) {
+            if (_.include(klass.__mixins__ || [], mixin)) {
+                return true;
+            }
+            klass = klass.__super__ && klass.__super__.constructor;
+        }
+        return false;
+    };
+
+    // Placeholder for a method that subclasses must provide.
+    Toolbox.abstractMethod = function () {
+        throw new Error('Toolbox: abstract method called');
+    };
+
+    // Declare an interface: a named list of method names.
+    Toolbox.defineInterface = function (name, methods) {
+        return {
+            name: name,
+            methods: methods,
+            isInterface: true
+        };
+    };
+
+    // Return true if `obj` (a class or an instance) has a non-abstract method
+    // for every method of `iface`. Any object can be checked, not only those
+    // created from classes that declare `iface`.
+    Toolbox.implements = function (obj, iface) {
+        var target = _.isFunction(obj) ? obj.prototype : obj;
+        return _.all(iface.methods, function (name) {
+            return isImplemented(target[name]);
+        });
+    };
+
+    // Method advice.
+    // `Toolbox.before`, `Toolbox.after` and `Toolbox.around` add advice to the
+    // method `name` of `target`, which is either a class or a single instance.
+    // Advice added to a class applies to all its instances, and to those of
+    // subclasses that do not override the method (or that call it with `_super`).
+    // Each returns a handle whose `remove()` function removes the advice again.
+    // Adding advice to a method that does not exist is an error.
+    // - `before` advice is called with the arguments of the method.
+    // - `after` advice is called with the return value of the method, followed by
+    //   its arguments.
+    // - `around` advice is called with a `proceed` function, followed by the
+    //   arguments of the method. `proceed` calls the method (or the next around
+    //   advice) with the arguments it is given, and the around advice returns
+    //   the result. The most recently added around advice is called first.
+    // Example:
+    //     var handle = Toolbox.around(Document, 'save', function (proceed, options) {
+    //         var start = new Date();
+    //         var result = proceed(options);
+    //         console.log('save took ' + (new Date() - start) + 'ms');
+    //         return result;
+    //     });
+    //     handle.remove();
+    Toolbox.before = function (target, name, advice) {
+        return advise(target, name, 'before', advice);
+    };
+
+    Toolbox.after = function (target, name, advice) {
+        return advise(target, name, 'after', advice);
+    };
+
+    Toolbox.around = function (target, name, advice) {
+        return advise(target, name, 'around', advice);
+    };
+
+    function advise(target, name, kind, advice) {
+        var obj = _.isFunction(target) ? target.prototype : target;
+        var method = obj[name];
+        if (!_.isFunction(method)) {
+            throw new Error('Toolbox: cannot add advice to ' + name + ', which is not a method');
+        }
+        var dispatcher = obj.hasOwnProperty(name) && method && method.__advice__ ?
+            method : adviceDispatcher(obj, name);
+        var entry = { advice: advice };
+        dispatcher.__advice__[kind].push(entry);
+        return {
+            remove: function () {
+                var lists = dispatcher.__advice__;
+                lists[kind] = _.without(lists[kind], entry);
+                if (!lists.before.length && !lists.after.length && !lists.around.length &&
+                        obj[name] === dispatcher) {
+                    if (lists.hasOriginal) {
+                        obj[name] = lists.original;
+                    } else {
+                        delete obj[name];
+                    }
+                }
+            }
+        };
+    }
+
+    // Replace the method `name` of `obj` with a function that calls the method's
+    // advice along with the method itself. A method that `obj` inherits is looked
+    // up when called, so that advice added to its class still applies.
+    function adviceDispatcher(obj, name) {
+        var lists = {
+            before: [],
+            after: [],
+            around: [],
+            hasOriginal: obj.hasOwnProperty(name),
+            original: obj[name]
+        };
+        var dispatcher = obj[name] = function () {
+            var that = this;
+            var args = _.toArray(arguments);
+            var method = lists.hasOriginal ? lists.original : Object.getPrototypeOf(obj)[name];
+            var call = function () {
+                return method.apply(that, arguments);
+            };
+            _.each(lists.around.slice(), function (entry) {
+                var proceed = call;
+                call = function () {
+                    return entry.advice.apply(that, [proceed].concat(_.toArray(arguments)));
+                };
+            });
+            _.each(lists.before.slice(), function (entry) {
+                entry.advice.apply(that, args);
+            });
+            var result = call.apply(this, args);
+            _.each(lists.after.slice(), function (entry) {
+                entry.advice.apply(that, [result].concat(args));
+            });
+            return result;
+        };
+        dispatcher.__advice__ = lists;
+        return dispatcher;
+    }
 })();
 